@@ -0,0 +1,17 @@
+module.exports = {
+  root: true,
+  env: { browser: true, node: true, es2022: true },
+  parserOptions: { ecmaVersion: "latest", sourceType: "module" },
+  extends: [
+    "eslint:recommended",
+    "plugin:react/recommended",
+    "plugin:react/jsx-runtime",
+    "plugin:react-hooks/recommended",
+  ],
+  settings: { react: { version: "detect" } },
+  ignorePatterns: ["dist/", "uploads/"],
+  rules: {
+    "react/prop-types": "off",
+    "no-unused-vars": ["error", { ignoreRestSiblings: true }],
+  },
+};
@@ -1,97 +1,212 @@
 import { useEffect, useRef, useState } from "react";
+import { BarChart2, LogOut, Settings, Terminal } from "react-feather";
 import logo from "/assets/openai-logomark.svg";
+import ConnectionStatus from "./ConnectionStatus";
 import EventLog from "./EventLog";
+import ProjectBar, { useProjects } from "./Projects";
 import SessionControls from "./SessionControls";
+import SessionSettings, { useSessionSettings } from "./SessionSettings";
+import SignIn from "./SignIn";
 import ToolPanel from "./ToolPanel";
+import Usage from "./Usage";
+import { signOut, useSession } from "../lib/auth";
+import { stampEvent } from "../lib/eventLog";
+import { parseRecording, playRecording } from "../lib/replay";
+import { createTransport } from "../lib/transports";
 
-export default function App() {
+const reconnectBaseMs = 1000;
+const reconnectMaxMs = 30000;
+const maxReconnectAttempts = 6;
+
+// The studio of the signed-in user. Everything in it, from projects to jobs,
+// is theirs alone.
+function Studio({ user }) {
   const [isSessionActive, setIsSessionActive] = useState(false);
   const [events, setEvents] = useState([]);
-  const [dataChannel, setDataChannel] = useState(null);
-  const peerConnection = useRef(null);
-  const audioElement = useRef(null);
+  // The side panel open next to the studio: "events", "settings", "usage"
+  // or null
+  const [sidePanel, setSidePanel] = useState(null);
+  // A recorded session being played back instead of a live one:
+  // { name, entries, speed, played, total, done }
+  const [replay, setReplay] = useState(null);
+  // "disconnected", "connecting", "connected", "reconnecting" (with the
+  // attempt number) or "failed"
+  const [connection, setConnection] = useState({ status: "disconnected" });
+  // The connection to the model, see lib/transports.js
+  const transport = useRef(null);
+  const microphone = useRef(null);
+  // Set while the user wants a session, so drops are retried, not ended
+  const keepSession = useRef(false);
+  const reconnectTimer = useRef(null);
+  const reconnectAttempts = useRef(0);
+  // Set while reconnecting, so the conversation's events are kept
+  const resuming = useRef(false);
+  const projects = useProjects();
+  const sessionSettings = useSessionSettings(projects.current, projects.save);
 
-  async function startSession() {
-    // Get an ephemeral key from the Fastify server
-    const tokenResponse = await fetch("/token");
-    const data = await tokenResponse.json();
-    const EPHEMERAL_KEY = data.client_secret.value;
-
-    // Create a peer connection
-    const pc = new RTCPeerConnection();
-
-    // Set up to play remote audio from the model
-    audioElement.current = document.createElement("audio");
-    audioElement.current.autoplay = true;
-    pc.ontrack = (e) => (audioElement.current.srcObject = e.streams[0]);
-
-    // Add local audio track for microphone input in the browser
-    const ms = await navigator.mediaDevices.getUserMedia({
-      audio: true,
-    });
-    pc.addTrack(ms.getTracks()[0]);
-
-    // Set up data channel for sending and receiving events
-    const dc = pc.createDataChannel("oai-events");
-    setDataChannel(dc);
-
-    // Start the session using the Session Description Protocol (SDP)
-    const offer = await pc.createOffer();
-    await pc.setLocalDescription(offer);
-
-    const baseUrl = "https://api.openai.com/v1/realtime";
-    const model = "gpt-4o-realtime-preview-2024-12-17";
-    const sdpResponse = await fetch(`${baseUrl}?model=${model}`, {
-      method: "POST",
-      body: offer.sdp,
-      headers: {
-        Authorization: `Bearer ${EPHEMERAL_KEY}`,
-        "Content-Type": "application/sdp",
+  // Events belong to the project they were recorded in
+  useEffect(() => {
+    setEvents([]);
+  }, [projects.current?.id]);
+
+  // Signing out, or the session expiring, ends the realtime session too
+  useEffect(() => () => stopSession(), []);
+
+  // Connects to the model over the transport chosen in the session settings
+  // (see lib/transports.js). The microphone is kept across reconnects.
+  async function connect() {
+    if (!microphone.current) {
+      microphone.current = await navigator.mediaDevices.getUserMedia({
+        audio: true,
+      });
+    }
+
+    const current = createTransport(
+      sessionSettings.current?.transport || "webrtc",
+      {
+        onEvent: (event) => {
+          stampEvent(event, "server");
+          setEvents((prev) => [event, ...prev]);
+        },
+        onOpen: handleOpen,
+        onDrop: () => handleDrop(current),
       },
+    );
+    transport.current = current;
+    await current.connect({
+      settings: sessionSettings.current,
+      microphone: microphone.current,
     });
+  }
 
-    const answer = {
-      type: "answer",
-      sdp: await sdpResponse.text(),
-    };
-    await pc.setRemoteDescription(answer);
+  function handleOpen() {
+    setIsSessionActive(true);
+    setConnection({ status: "connected" });
+    reconnectAttempts.current = 0;
+    // A reconnected session carries on the same conversation
+    if (!resuming.current) {
+      setEvents([]);
+    }
+    resuming.current = false;
+  }
 
-    peerConnection.current = pc;
+  // Close the current connection, leaving the microphone on
+  function closeConnection() {
+    const current = transport.current;
+    transport.current = null;
+    // Events from a transport that is no longer current are ignored
+    current?.close();
   }
 
-  // Stop current session, clean up peer connection and data channel
-  function stopSession() {
-    if (dataChannel) {
-      dataChannel.close();
+  function handleDrop(dropped) {
+    if (dropped !== transport.current || !keepSession.current) return;
+    closeConnection();
+    scheduleReconnect();
+  }
+
+  // Retry with exponential backoff and some jitter, giving up after
+  // maxReconnectAttempts failures in a row
+  function scheduleReconnect() {
+    const attempt = reconnectAttempts.current++;
+    if (attempt >= maxReconnectAttempts) {
+      stopSession();
+      setConnection({ status: "failed" });
+      return;
     }
 
-    peerConnection.current.getSenders().forEach((sender) => {
-      if (sender.track) {
-        sender.track.stop();
+    setConnection({ status: "reconnecting", attempt: attempt + 1 });
+    const delay =
+      Math.min(reconnectBaseMs * 2 ** attempt, reconnectMaxMs) *
+      (0.8 + Math.random() * 0.4);
+    reconnectTimer.current = setTimeout(async () => {
+      if (!keepSession.current) return;
+      try {
+        resuming.current = true;
+        await connect();
+        // Stopped while connecting
+        if (!keepSession.current) stopSession();
+      } catch (err) {
+        console.error("Reconnect failed:", err);
+        closeConnection();
+        scheduleReconnect();
       }
-    });
+    }, delay);
+  }
+
+  async function startSession() {
+    // Keep the session's work in a project, starting one if none is open
+    if (!projects.current) {
+      await projects.create();
+    }
 
-    if (peerConnection.current) {
-      peerConnection.current.close();
+    keepSession.current = true;
+    reconnectAttempts.current = 0;
+    resuming.current = false;
+    setConnection({ status: "connecting" });
+    try {
+      await connect();
+      if (!keepSession.current) stopSession();
+    } catch (err) {
+      stopSession();
+      throw err;
     }
+  }
+
+  // Stop the current session and release the microphone
+  function stopSession() {
+    keepSession.current = false;
+    clearTimeout(reconnectTimer.current);
+    closeConnection();
+
+    microphone.current?.getTracks().forEach((track) => track.stop());
+    microphone.current = null;
 
     setIsSessionActive(false);
-    setDataChannel(null);
-    peerConnection.current = null;
+    setConnection({ status: "disconnected" });
+  }
+
+  // Replay a recording from the event log in a project of its own, with
+  // tool calls running on the mock provider
+  async function startReplay(file, speed) {
+    const entries = parseRecording(await file.text());
+    await projects.create(`Replay of ${file.name}`);
+    setReplay({ name: file.name, entries, speed, played: 0, done: false });
+  }
+
+  function stopReplay() {
+    setReplay(null);
   }
 
+  // Starts once the replay's project is current, so its events aren't cleared
+  useEffect(() => {
+    if (!replay?.entries) return;
+    setEvents([]);
+    return playRecording(replay.entries, {
+      speed: replay.speed,
+      onEvent: (event, played, total) => {
+        stampEvent(event, "server");
+        setEvents((prev) => [event, ...prev]);
+        setReplay((prev) => prev && { ...prev, played, total });
+      },
+      onDone: () => setReplay((prev) => prev && { ...prev, done: true }),
+    });
+  }, [replay?.entries]);
+
   // Send a message to the model
   function sendClientEvent(message) {
-    if (dataChannel) {
-      message.event_id = message.event_id || crypto.randomUUID();
-      dataChannel.send(JSON.stringify(message));
-      setEvents((prev) => [message, ...prev]);
-    } else {
-      console.error(
-        "Failed to send message - no data channel available",
-        message,
-      );
+    const isOpen = transport.current?.isOpen();
+    if (!isOpen && !replay) {
+      console.error("Failed to send message - no open connection", message);
+      return;
+    }
+
+    message.event_id = message.event_id || crypto.randomUUID();
+    // A replay has no one to send to, but still logs what would have gone out
+    if (isOpen) {
+      transport.current.send(message);
     }
+    stampEvent(message, "client");
+    setEvents((prev) => [message, ...prev]);
   }
 
   // Send a text message to the model
@@ -114,52 +229,58 @@ export default function App() {
     sendClientEvent({ type: "response.create" });
   }
 
-  // Attach event listeners to the data channel when a new one is created
-  useEffect(() => {
-    if (dataChannel) {
-      // Append new server events to the list
-      dataChannel.addEventListener("message", (e) => {
-        setEvents((prev) => [JSON.parse(e.data), ...prev]);
-      });
-
-      // Set session active when the data channel is opened
-      dataChannel.addEventListener("open", () => {
-        setIsSessionActive(true);
-        setEvents([]);
-      });
-    }
-  }, [dataChannel]);
-
   return (
     <>
       <nav className="absolute top-0 left-0 right-0 h-16 flex items-center">
         <div className="flex items-center gap-4 w-full m-4 pb-2 border-0 border-b border-solid border-gray-200">
           <img style={{ width: "24px" }} src={logo} />
           <h1>realtime console</h1>
+          <ConnectionStatus connection={connection} />
+          <ProjectBar
+            projects={projects}
+            disabled={isSessionActive || Boolean(replay)}
+          />
+          {[
+            { panel: "settings", label: "Session settings", Icon: Settings },
+            { panel: "events", label: "Event log", Icon: Terminal },
+            { panel: "usage", label: "Usage", Icon: BarChart2 },
+          ].map(({ panel, label, Icon }) => (
+            <button
+              key={panel}
+              className={`flex items-center gap-1 text-sm p-1 rounded-md ${
+                sidePanel === panel ? "bg-gray-200" : "hover:bg-gray-100"
+              }`}
+              onClick={() => setSidePanel(sidePanel === panel ? null : panel)}
+              aria-pressed={sidePanel === panel}
+            >
+              <Icon height={16} />
+              {label}
+            </button>
+          ))}
+          <span className="ml-auto text-sm text-gray-500">{user.email}</span>
+          <button
+            className="flex items-center gap-1 text-sm p-1 rounded-md hover:bg-gray-100"
+            onClick={signOut}
+          >
+            <LogOut height={16} />
+            Sign out
+          </button>
         </div>
       </nav>
       <main className="absolute top-16 left-0 right-0 bottom-0">
-        {/* <section className="absolute top-0 left-0 right-[380px] bottom-0 flex">
-          <section className="absolute top-0 left-0 right-0 bottom-32 px-4 overflow-y-auto">
-            <EventLog events={events} />
-          </section>
-          <section className="absolute h-32 left-0 right-0 bottom-0 p-4">
-            <SessionControls
-              startSession={startSession}
-              stopSession={stopSession}
-              sendClientEvent={sendClientEvent}
-              sendTextMessage={sendTextMessage}
-              events={events}
-              isSessionActive={isSessionActive}
-            />
-          </section>
-        </section> */}
-        <section className="absolute top-0 w-full right-0 bottom-0 p-4 pt-0 overflow-y-auto">
+        <section
+          className={`absolute top-0 left-0 bottom-0 p-4 pt-0 overflow-y-auto ${
+            sidePanel ? "right-[420px]" : "right-0"
+          }`}
+        >
           <ToolPanel
             sendClientEvent={sendClientEvent}
             sendTextMessage={sendTextMessage}
             events={events}
-            isSessionActive={isSessionActive}
+            isSessionActive={isSessionActive || Boolean(replay)}
+            isReplaying={Boolean(replay)}
+            project={projects.current}
+            saveProject={projects.save}
           />
           <SessionControls
             startSession={startSession}
@@ -168,9 +289,36 @@ export default function App() {
             sendTextMessage={sendTextMessage}
             events={events}
             isSessionActive={isSessionActive}
+            connection={connection}
+            replay={replay}
+            startReplay={startReplay}
+            stopReplay={stopReplay}
           />
         </section>
+        {sidePanel && (
+          <aside className="absolute top-0 right-0 bottom-0 w-[420px] px-4 border-0 border-l border-solid border-gray-200 overflow-y-auto">
+            {sidePanel === "events" ? (
+              <EventLog events={events} />
+            ) : sidePanel === "usage" ? (
+              <Usage user={user} />
+            ) : (
+              <SessionSettings
+                sessionSettings={sessionSettings}
+                isSessionActive={isSessionActive}
+              />
+            )}
+          </aside>
+        )}
       </main>
     </>
   );
 }
+
+export default function App() {
+  const session = useSession();
+
+  // Nothing to show until the stored session has been read
+  if (session === undefined) return null;
+  if (!session) return <SignIn />;
+  return <Studio key={session.user.id} user={session.user} />;
+}
@@ -0,0 +1,44 @@
+import PaletteTools from "./PaletteTools";
+
+// Swatches of a palette, with export and contrast tools. Palettes taken from
+// an image also carry the share of the image each colour covers, shown as a
+// proportion bar and percentages.
+export default function ColorPalette({ theme, colors, shares }) {
+  const percent = (index) => `${Math.round(shares[index] * 100)}%`;
+
+  return (
+    <div className="flex flex-col gap-2">
+      <h3 className="font-bold">Color Palette</h3>
+      <p>Theme: {theme}</p>
+      {shares && (
+        <div className="flex h-4 w-full rounded-md overflow-hidden border border-gray-200">
+          {colors.map((color, index) => (
+            <div
+              key={index}
+              style={{
+                backgroundColor: color,
+                width: `${shares[index] * 100}%`,
+              }}
+              title={`${color} · ${percent(index)}`}
+            />
+          ))}
+        </div>
+      )}
+      <div className="grid grid-cols-5 gap-2">
+        {colors.map((color, index) => (
+          <div
+            key={index}
+            className="w-full h-16 rounded-md flex flex-col items-center justify-center border border-gray-200"
+            style={{ backgroundColor: color }}
+          >
+            <p className="text-sm font-bold text-black bg-slate-100 rounded-md p-2 border border-black">
+              {color}
+              {shares && ` · ${percent(index)}`}
+            </p>
+          </div>
+        ))}
+      </div>
+      <PaletteTools theme={theme} colors={colors} />
+    </div>
+  );
+}
@@ -0,0 +1,20 @@
+const styles = {
+  connecting: { dot: "bg-yellow-400", label: "Connecting" },
+  connected: { dot: "bg-green-500", label: "Connected" },
+  reconnecting: { dot: "bg-orange-400 animate-pulse", label: "Reconnecting" },
+  failed: { dot: "bg-red-500", label: "Connection lost" },
+  disconnected: { dot: "bg-gray-300", label: "Not connected" },
+};
+
+// The state of the realtime connection, shown in the header
+export default function ConnectionStatus({ connection }) {
+  const { dot, label } = styles[connection.status];
+
+  return (
+    <div className="flex items-center gap-2 text-sm text-gray-600">
+      <span className={`w-2 h-2 rounded-full ${dot}`} />
+      {label}
+      {connection.attempt && ` (attempt ${connection.attempt})`}
+    </div>
+  );
+}
@@ -1,10 +1,19 @@
-import { ArrowUp, ArrowDown } from "react-feather";
+import { ArrowUp, ArrowDown, Download } from "react-feather";
 import { useState } from "react";
+import { downloadJsonl, eventMeta, mergeDeltas } from "../lib/eventLog";
 
-function Event({ event, timestamp }) {
-  const [isExpanded, setIsExpanded] = useState(false);
+function formatTime(time) {
+  if (!time) return "--:--:--";
+  const date = new Date(time);
+  return `${date.toLocaleTimeString([], { hour12: false })}.${String(
+    date.getMilliseconds(),
+  ).padStart(3, "0")}`;
+}
 
-  const isClient = event.event_id && !event.event_id.startsWith("event_");
+function Event({ entry }) {
+  const [isExpanded, setIsExpanded] = useState(false);
+  const { event, meta, deltas, text } = entry;
+  const isClient = meta.direction === "client";
 
   return (
     <div className="flex flex-col gap-2 p-2 rounded-md bg-gray-50">
@@ -13,55 +22,120 @@ function Event({ event, timestamp }) {
         onClick={() => setIsExpanded(!isExpanded)}
       >
         {isClient ? (
-          <ArrowDown className="text-blue-400" />
+          <ArrowDown className="text-blue-400 flex-none" />
         ) : (
-          <ArrowUp className="text-green-400" />
+          <ArrowUp className="text-green-400 flex-none" />
         )}
-        <div className="text-sm text-gray-500">
-          {isClient ? "client:" : "server:"}
-          &nbsp;{event.type} | {timestamp}
+        <div className="text-sm text-gray-500 min-w-0">
+          <span className="font-mono">{formatTime(meta.time)}</span>
+          &nbsp;{isClient ? "client:" : "server:"}
+          &nbsp;{event.type}
+          {deltas && ` ×${deltas.length}`}
+          {text && <span className="block truncate text-gray-700">{text}</span>}
         </div>
       </div>
-      <div
-        className={`text-gray-500 bg-gray-200 p-2 rounded-md overflow-x-auto ${
-          isExpanded ? "block" : "hidden"
-        }`}
-      >
-        <pre className="text-xs">{JSON.stringify(event, null, 2)}</pre>
-      </div>
+      {isExpanded && (
+        <div className="text-gray-500 bg-gray-200 p-2 rounded-md overflow-x-auto">
+          <pre className="text-xs whitespace-pre-wrap">
+            {deltas
+              ? `${text}\n\nfirst event:\n${JSON.stringify(event, null, 2)}`
+              : JSON.stringify(event, null, 2)}
+          </pre>
+        </div>
+      )}
     </div>
   );
 }
 
+// Debugging console for the realtime events, newest first. `events` is
+// App's list, also newest first.
 export default function EventLog({ events }) {
-  const eventsToDisplay = [];
-  let deltaEvents = {};
+  const [direction, setDirection] = useState("all");
+  const [type, setType] = useState("");
+  const [search, setSearch] = useState("");
+  const [merge, setMerge] = useState(true);
 
-  events.forEach((event) => {
-    if (event.type.endsWith("delta")) {
-      if (deltaEvents[event.type]) {
-        // for now just log a single event per render pass
-        return;
-      } else {
-        deltaEvents[event.type] = event;
-      }
-    }
+  const types = [...new Set(events.map((event) => event.type))].sort();
+  const chronological = [...events].reverse();
+  const entries = merge
+    ? mergeDeltas(chronological)
+    : chronological.map((event) => ({ event, meta: eventMeta(event) }));
 
-    eventsToDisplay.push(
-      <Event
-        key={event.event_id}
-        event={event}
-        timestamp={new Date().toLocaleTimeString()}
-      />,
-    );
-  });
+  const query = search.trim().toLowerCase();
+  const shown = entries
+    .filter(
+      (entry) => direction === "all" || entry.meta.direction === direction,
+    )
+    .filter((entry) => !type || entry.event.type === type)
+    .filter(
+      (entry) =>
+        !query ||
+        (entry.deltas || [entry.event]).some((event) =>
+          JSON.stringify(event).toLowerCase().includes(query),
+        ),
+    )
+    .reverse();
 
   return (
-    <div className="flex flex-col gap-2 overflow-x-auto">
+    <div className="flex flex-col gap-2">
+      <div className="flex flex-col gap-2 sticky top-0 bg-white py-2 text-sm">
+        <div className="flex gap-2">
+          <input
+            type="search"
+            className="flex-1 border border-gray-200 rounded-md p-1"
+            placeholder="Search payloads"
+            value={search}
+            onChange={(e) => setSearch(e.target.value)}
+          />
+          <button
+            className="p-1 hover:opacity-70 disabled:opacity-30"
+            disabled={events.length === 0}
+            onClick={() => downloadJsonl(events)}
+            aria-label="Export events as JSONL"
+            title="Export events as JSONL"
+          >
+            <Download height={16} />
+          </button>
+        </div>
+        <div className="flex flex-wrap items-center gap-2">
+          <select
+            className="border border-gray-200 rounded-md p-1"
+            value={direction}
+            onChange={(e) => setDirection(e.target.value)}
+          >
+            <option value="all">Both directions</option>
+            <option value="client">Client → server</option>
+            <option value="server">Server → client</option>
+          </select>
+          <select
+            className="border border-gray-200 rounded-md p-1 max-w-[14rem]"
+            value={type}
+            onChange={(e) => setType(e.target.value)}
+          >
+            <option value="">All event types</option>
+            {types.map((name) => (
+              <option key={name} value={name}>
+                {name}
+              </option>
+            ))}
+          </select>
+          <label className="flex items-center gap-1">
+            <input
+              type="checkbox"
+              checked={merge}
+              onChange={(e) => setMerge(e.target.checked)}
+            />
+            Merge deltas
+          </label>
+          <span className="text-gray-500">
+            {shown.length} / {entries.length}
+          </span>
+        </div>
+      </div>
       {events.length === 0 ? (
         <div className="text-gray-500">Awaiting events...</div>
       ) : (
-        eventsToDisplay
+        shown.map((entry) => <Event key={entry.event.event_id} entry={entry} />)
       )}
     </div>
   );
@@ -0,0 +1,180 @@
+import { useRef, useState } from "react";
+
+// Every image the studio produces is kept as a version. Masks from
+// create_image_mask are versions too, with the masked image as their parent,
+// so any earlier mask can be picked up again for editing. Images generated
+// together in one batch share a batchId.
+export function useImageHistory() {
+  const [versions, setVersions] = useState([]);
+  const [currentVersionId, setCurrentVersionId] = useState(null);
+  // Tool handlers finish asynchronously and report version numbers, so keep
+  // the latest list outside of render state too
+  const latest = useRef(versions);
+
+  const currentVersion =
+    versions.find((version) => version.id === currentVersionId) || null;
+  const findVersion = (id) =>
+    versions.find((version) => version.id === id) || null;
+
+  const isMask = (version) => version?.tool === "create_image_mask";
+
+  const currentImage = isMask(currentVersion)
+    ? findVersion(currentVersion.parentId)
+    : currentVersion;
+
+  // The selected mask, or the latest one made for the current image
+  const currentMasks = isMask(currentVersion)
+    ? currentVersion.masks
+    : [...versions]
+        .reverse()
+        .find(
+          (version) => isMask(version) && version.parentId === currentImage?.id,
+        )?.masks || null;
+
+  // The most recent batch of variations, in the order they were generated
+  const batchId = [...versions]
+    .reverse()
+    .find((version) => version.batchId)?.batchId;
+  const latestBatch = batchId
+    ? versions.filter((version) => version.batchId === batchId)
+    : [];
+
+  function addVersion({
+    url,
+    parentId = null,
+    tool,
+    prompt,
+    params = {},
+    masks,
+    batchId,
+    select = true,
+  }) {
+    const version = {
+      id: crypto.randomUUID(),
+      url,
+      parentId,
+      tool,
+      prompt,
+      params,
+      masks,
+      batchId,
+      createdAt: new Date().toISOString(),
+    };
+    latest.current = [...latest.current, version];
+    setVersions(latest.current);
+    if (select) {
+      setCurrentVersionId(version.id);
+    }
+    return { ...version, number: latest.current.length };
+  }
+
+  // Versions are numbered from 1 in creation order, as shown in the panel
+  function selectVersion(number) {
+    const version = latest.current[number - 1];
+    if (!version) return null;
+    setCurrentVersionId(version.id);
+    return { ...version, number };
+  }
+
+  // Step back to the image this one was derived from, or the one before it
+  function revert() {
+    if (!currentImage) return null;
+
+    const images = versions.filter((version) => !isMask(version));
+    const target =
+      findVersion(currentImage.parentId) ||
+      images[images.indexOf(currentImage) - 1];
+    if (!target) return null;
+
+    setCurrentVersionId(target.id);
+    return { ...target, number: versions.indexOf(target) + 1 };
+  }
+
+  function restore(savedVersions = [], savedCurrentVersionId = null) {
+    latest.current = savedVersions;
+    setVersions(savedVersions);
+    setCurrentVersionId(savedCurrentVersionId);
+  }
+
+  return {
+    versions,
+    currentVersion,
+    currentImage,
+    currentMasks,
+    latestBatch,
+    addVersion,
+    selectVersion,
+    revert,
+    restore,
+    numberOf: (version) => versions.indexOf(version) + 1,
+  };
+}
+
+const toolLabels = {
+  generate_image: "generated",
+  regenerate_image: "regenerated",
+  edit_image: "edited",
+  create_image_mask: "mask",
+  upscale_image: "upscaled",
+};
+
+export default function ImageHistory({ history }) {
+  const [expandedId, setExpandedId] = useState(null);
+  const { versions, currentVersion, numberOf } = history;
+
+  if (versions.length === 0) return null;
+
+  const expanded = versions.find((version) => version.id === expandedId);
+
+  return (
+    <div className="flex flex-col gap-2">
+      <h3 className="font-bold">Version History</h3>
+      <div className="flex gap-2 overflow-x-auto pb-2">
+        {versions.map((version) => {
+          const parent = versions.find((v) => v.id === version.parentId);
+          return (
+            <button
+              key={version.id}
+              onClick={() => {
+                history.selectVersion(numberOf(version));
+                setExpandedId(version.id);
+              }}
+              className={`flex-none w-28 flex flex-col gap-1 p-1 rounded-md text-left text-xs ${
+                currentVersion?.id === version.id
+                  ? "bg-blue-100 border-2 border-blue-500"
+                  : "bg-gray-100 border-2 border-transparent hover:bg-gray-200"
+              }`}
+              aria-label={`Select version ${numberOf(version)}`}
+            >
+              <img
+                src={version.url}
+                alt={`Version ${numberOf(version)}`}
+                className="w-full h-20 object-cover rounded"
+              />
+              <span className="font-bold">
+                v{numberOf(version)} · {toolLabels[version.tool]}
+              </span>
+              {parent && (
+                <span className="text-gray-500">from v{numberOf(parent)}</span>
+              )}
+            </button>
+          );
+        })}
+      </div>
+      {expanded && (
+        <div className="text-xs text-gray-600 bg-gray-100 rounded-md p-2">
+          <p>
+            v{numberOf(expanded)} · {expanded.tool} ·{" "}
+            {new Date(expanded.createdAt).toLocaleTimeString()}
+          </p>
+          {expanded.prompt && <p>Prompt: {expanded.prompt}</p>}
+          {Object.keys(expanded.params).length > 0 && (
+            <pre className="overflow-x-auto">
+              {JSON.stringify(expanded.params, null, 2)}
+            </pre>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,197 @@
+import { useState } from "react";
+
+// Position of a pointer event as fractions of the element's size
+function fractionOf(e) {
+  const rect = e.currentTarget.getBoundingClientRect();
+  return {
+    x: Math.min(1, Math.max(0, (e.clientX - rect.left) / rect.width)),
+    y: Math.min(1, Math.max(0, (e.clientY - rect.top) / rect.height)),
+  };
+}
+
+// Drags shorter than this count as clicks
+const minDrag = 0.02;
+
+function boxBetween(start, end) {
+  return {
+    x: Math.min(start.x, end.x),
+    y: Math.min(start.y, end.y),
+    width: Math.abs(end.x - start.x),
+    height: Math.abs(end.y - start.y),
+  };
+}
+
+const percent = (fraction) => `${fraction * 100}%`;
+
+// Click on the image to pick the object under the pointer (shift-click to
+// leave an area out) or drag a box around it. onSegment({ points, box }) runs
+// the segmentation; the resulting mask is drawn over the image.
+export default function ImageSegmenter({ imageUrl, segments, onSegment }) {
+  const [points, setPoints] = useState([]);
+  const [box, setBox] = useState(null);
+  const [dragStart, setDragStart] = useState(null);
+  const [dragEnd, setDragEnd] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+  const [showMask, setShowMask] = useState(true);
+
+  function handlePointerDown(e) {
+    if (!onSegment || busy) return;
+    e.currentTarget.setPointerCapture(e.pointerId);
+    setDragStart(fractionOf(e));
+    setDragEnd(fractionOf(e));
+  }
+
+  function handlePointerUp(e) {
+    if (!dragStart) return;
+    const end = fractionOf(e);
+    const dragged = boxBetween(dragStart, end);
+    if (dragged.width > minDrag || dragged.height > minDrag) {
+      setBox(dragged);
+    } else {
+      setPoints((prev) => [...prev, { ...end, exclude: e.shiftKey }]);
+    }
+    setDragStart(null);
+    setDragEnd(null);
+  }
+
+  async function findMask() {
+    setBusy(true);
+    setError(null);
+    try {
+      await onSegment({ points, ...(box ? { box } : {}) });
+      setPoints([]);
+      setBox(null);
+      setShowMask(true);
+    } catch (err) {
+      console.error("Segmentation failed:", err);
+      setError(err.message);
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  const hasSelection = points.some((point) => !point.exclude) || box;
+  const shownBox = dragStart ? boxBetween(dragStart, dragEnd) : box;
+
+  return (
+    <div className="flex flex-col gap-4">
+      <div className="grid grid-cols-2 gap-4">
+        <div>
+          <h3 className="font-bold mb-2">Original Image</h3>
+          <div
+            className={`relative select-none touch-none ${
+              onSegment ? "cursor-crosshair" : ""
+            }`}
+            onPointerDown={handlePointerDown}
+            onPointerMove={(e) => dragStart && setDragEnd(fractionOf(e))}
+            onPointerUp={handlePointerUp}
+          >
+            <img
+              src={imageUrl}
+              alt="Original"
+              className="w-full rounded-lg"
+              draggable={false}
+            />
+            {segments && showMask && (
+              <div
+                className="absolute inset-0 rounded-lg bg-blue-500/50 pointer-events-none"
+                style={{
+                  maskImage: `url(${segments.combined_mask})`,
+                  maskMode: "luminance",
+                  maskSize: "100% 100%",
+                }}
+              />
+            )}
+            {shownBox && (
+              <div
+                className="absolute border-2 border-dashed border-yellow-400 pointer-events-none"
+                style={{
+                  left: percent(shownBox.x),
+                  top: percent(shownBox.y),
+                  width: percent(shownBox.width),
+                  height: percent(shownBox.height),
+                }}
+              />
+            )}
+            {points.map((point, index) => (
+              <span
+                key={index}
+                className={`absolute w-3 h-3 -ml-1.5 -mt-1.5 rounded-full border-2 border-white pointer-events-none ${
+                  point.exclude ? "bg-red-500" : "bg-green-500"
+                }`}
+                style={{ left: percent(point.x), top: percent(point.y) }}
+              />
+            ))}
+          </div>
+          {onSegment && (
+            <div className="flex flex-col gap-2 mt-2 text-sm">
+              <p className="text-gray-600">
+                Click an object or drag a box around it. Shift-click to leave an
+                area out.
+              </p>
+              <div className="flex gap-2">
+                <button
+                  className="px-3 py-1 rounded-md bg-blue-500 text-white disabled:bg-gray-400"
+                  disabled={!hasSelection || busy}
+                  onClick={findMask}
+                >
+                  {busy ? "Finding mask..." : "Find mask"}
+                </button>
+                <button
+                  className="px-3 py-1 rounded-md bg-gray-200 hover:bg-gray-300"
+                  disabled={busy}
+                  onClick={() => {
+                    setPoints([]);
+                    setBox(null);
+                  }}
+                >
+                  Clear
+                </button>
+                {segments && (
+                  <button
+                    className="px-3 py-1 rounded-md bg-gray-200 hover:bg-gray-300"
+                    onClick={() => setShowMask(!showMask)}
+                  >
+                    {showMask ? "Hide mask" : "Show mask"}
+                  </button>
+                )}
+              </div>
+              {error && <p className="text-red-500">{error}</p>}
+            </div>
+          )}
+        </div>
+        {segments && (
+          <div>
+            <h3 className="font-bold mb-2">Combined Segments</h3>
+            <img
+              src={segments.combined_mask}
+              alt="Combined segments"
+              className="w-full rounded-lg"
+            />
+          </div>
+        )}
+      </div>
+      {segments && (
+        <div>
+          <h3 className="font-bold mb-2">Individual Segments</h3>
+          <div className="grid grid-cols-3 gap-2">
+            {/* Numbered from 0, like the mask editor and the tools */}
+            {segments.individual_masks.map((mask, index) => (
+              <figure key={index} className="flex flex-col gap-1">
+                <img
+                  src={mask}
+                  alt={`Segment ${index}`}
+                  className="w-full rounded-lg"
+                />
+                <figcaption className="text-xs text-gray-500 text-center">
+                  Segment {index}
+                </figcaption>
+              </figure>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
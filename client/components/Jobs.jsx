@@ -0,0 +1,135 @@
+import { useEffect, useRef, useState } from "react";
+import { X } from "react-feather";
+import { accessToken, authFetch } from "../lib/auth";
+
+const finished = ["succeeded", "failed", "cancelled"];
+
+// Background generation jobs, kept up to date over the /jobs/events stream.
+// startJob resolves with the job result once it succeeds and rejects when it
+// fails or is cancelled. Jobs started by a tool pass the function call along
+// so the server can validate its arguments.
+export function useJobs() {
+  const [jobs, setJobs] = useState({});
+  const latest = useRef({});
+  const waiting = useRef({});
+
+  function settle(job) {
+    const waiter = waiting.current[job.id];
+    if (!waiter || !finished.includes(job.status)) return;
+
+    delete waiting.current[job.id];
+    if (job.status === "succeeded") {
+      waiter.resolve(job.result);
+    } else {
+      waiter.reject(new Error(job.error || "Job was cancelled"));
+    }
+  }
+
+  // EventSource can't send headers, so the access token goes in the URL. A
+  // stream refused for an expired token is reopened once the session has
+  // been checked (and refreshed) with an ordinary request.
+  useEffect(() => {
+    let source = null;
+    let stopped = false;
+
+    async function open() {
+      const token = await accessToken();
+      if (stopped || !token) return;
+
+      source = new EventSource(
+        `/jobs/events?access_token=${encodeURIComponent(token)}`,
+      );
+      source.addEventListener("job", (e) => {
+        const job = JSON.parse(e.data);
+        latest.current[job.id] = job;
+        setJobs((prev) => ({ ...prev, [job.id]: job }));
+        settle(job);
+      });
+      source.addEventListener("error", async (e) => {
+        if (e.target.readyState !== EventSource.CLOSED) return;
+        await authFetch("/auth/user");
+        setTimeout(open, 1000);
+      });
+    }
+
+    open();
+    return () => {
+      stopped = true;
+      source?.close();
+    };
+  }, []);
+
+  async function startJob(type, params, call) {
+    const response = await authFetch("/jobs", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ type, params, call }),
+    });
+    const job = await response.json();
+    if (job.error) {
+      throw new Error(job.error);
+    }
+
+    return new Promise((resolve, reject) => {
+      waiting.current[job.id] = { resolve, reject };
+      // The job may have finished before the POST answered
+      if (latest.current[job.id]) {
+        settle(latest.current[job.id]);
+      }
+    });
+  }
+
+  function cancelJob(id) {
+    return authFetch(`/jobs/${id}/cancel`, { method: "POST" });
+  }
+
+  return { jobs: Object.values(jobs), startJob, cancelJob };
+}
+
+const jobLabels = {
+  generate: "Generating image",
+  edit: "Editing image",
+  upscale: "Upscaling image",
+  segment: "Finding segments",
+};
+
+// Progress bars for the jobs that are still queued or running
+export default function JobList({ jobs, cancelJob }) {
+  const active = jobs.filter((job) => !finished.includes(job.status));
+  if (active.length === 0) return null;
+
+  return (
+    <div className="flex flex-col gap-2">
+      {active.map((job) => (
+        <div key={job.id} className="flex items-center gap-2 text-sm">
+          <div className="flex-1 flex flex-col gap-1">
+            <div className="flex justify-between text-gray-600">
+              <span>
+                {jobLabels[job.type] || job.type}
+                {job.params.prompt && `: ${job.params.prompt}`}
+              </span>
+              <span>
+                {job.status === "queued"
+                  ? "queued"
+                  : `${job.message} · ${Math.round(job.progress * 100)}%`}
+              </span>
+            </div>
+            <div className="h-2 bg-gray-200 rounded-full overflow-hidden">
+              <div
+                className="h-full bg-blue-400 transition-all"
+                style={{ width: `${job.progress * 100}%` }}
+              />
+            </div>
+          </div>
+          <button
+            className="p-1 hover:opacity-70"
+            onClick={() => cancelJob(job.id)}
+            aria-label={`Cancel ${jobLabels[job.type] || job.type}`}
+          >
+            <X height={16} />
+          </button>
+        </div>
+      ))}
+    </div>
+  );
+}
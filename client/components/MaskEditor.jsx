@@ -0,0 +1,335 @@
+import { useEffect, useRef, useState } from "react";
+
+// Painted pixels are kept opaque in this colour on a transparent canvas, and
+// the canvas is shown at half opacity over the image
+const paint = [59, 130, 246];
+const maxUndo = 20;
+const minZoom = 0.25;
+const maxZoom = 8;
+
+function loadImage(url) {
+  return new Promise((resolve, reject) => {
+    const image = new Image();
+    image.crossOrigin = "anonymous";
+    image.onload = () => resolve(image);
+    image.onerror = () => reject(new Error(`Failed to load ${url}`));
+    image.src = url;
+  });
+}
+
+// Turn a white-on-black mask image into painted pixels on the canvas
+async function drawSeed(canvas, maskUrl) {
+  const context = canvas.getContext("2d");
+  context.clearRect(0, 0, canvas.width, canvas.height);
+  if (!maskUrl) return;
+
+  const mask = await loadImage(maskUrl);
+  context.drawImage(mask, 0, 0, canvas.width, canvas.height);
+  const data = context.getImageData(0, 0, canvas.width, canvas.height);
+  const pixels = data.data;
+  for (let i = 0; i < pixels.length; i += 4) {
+    const painted = pixels[i] + pixels[i + 1] + pixels[i + 2] > 3 * 127;
+    pixels.set([...paint, painted ? 255 : 0], i);
+  }
+  context.putImageData(data, 0, 0);
+}
+
+// Export the painted area as a binary mask: white where painted, black
+// elsewhere, at the image's own size
+function exportMask(canvas) {
+  const out = document.createElement("canvas");
+  out.width = canvas.width;
+  out.height = canvas.height;
+  const context = out.getContext("2d");
+  const source = canvas
+    .getContext("2d")
+    .getImageData(0, 0, canvas.width, canvas.height).data;
+  const data = context.createImageData(canvas.width, canvas.height);
+  for (let i = 0; i < source.length; i += 4) {
+    const value = source[i + 3] > 127 ? 255 : 0;
+    data.data.set([value, value, value, 255], i);
+  }
+  context.putImageData(data, 0, 0);
+  return new Promise((resolve) => out.toBlob(resolve, "image/png"));
+}
+
+// Paint a mask over an image by hand. It can start from the combined mask or
+// one of the segments in `masks`, or from scratch. onSave(blob) receives the
+// exported PNG.
+export default function MaskEditor({ imageUrl, masks, onSave }) {
+  const canvasRef = useRef(null);
+  const viewportRef = useRef(null);
+  const undoStack = useRef([]);
+  const stroke = useRef(null);
+  const [size, setSize] = useState({ width: 0, height: 0 });
+  const [seed, setSeed] = useState(masks ? "combined" : "blank");
+  const [tool, setTool] = useState("brush");
+  const [brushSize, setBrushSize] = useState(40);
+  const [zoom, setZoom] = useState(1);
+  const [pan, setPan] = useState({ x: 0, y: 0 });
+  const [undoCount, setUndoCount] = useState(0);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  const seedUrl =
+    seed === "combined"
+      ? masks?.combined_mask
+      : seed === "blank"
+        ? null
+        : masks?.individual_masks[Number(seed)];
+
+  // Size the canvas to the image, then draw the chosen starting mask
+  useEffect(() => {
+    let cancelled = false;
+    loadImage(imageUrl)
+      .then(async (image) => {
+        if (cancelled) return;
+        const canvas = canvasRef.current;
+        canvas.width = image.naturalWidth;
+        canvas.height = image.naturalHeight;
+        setSize({ width: image.naturalWidth, height: image.naturalHeight });
+        await drawSeed(canvas, seedUrl);
+        undoStack.current = [];
+        setUndoCount(0);
+      })
+      .catch((err) => !cancelled && setError(err.message));
+    return () => {
+      cancelled = true;
+    };
+  }, [imageUrl, seedUrl]);
+
+  function canvasPoint(e) {
+    const canvas = canvasRef.current;
+    const rect = canvas.getBoundingClientRect();
+    return {
+      x: ((e.clientX - rect.left) * canvas.width) / rect.width,
+      y: ((e.clientY - rect.top) * canvas.height) / rect.height,
+    };
+  }
+
+  function drawTo(point) {
+    const context = canvasRef.current.getContext("2d");
+    const from = stroke.current.last;
+    context.globalCompositeOperation =
+      tool === "eraser" ? "destination-out" : "source-over";
+    context.strokeStyle = `rgb(${paint.join(",")})`;
+    context.lineWidth = brushSize;
+    context.lineCap = "round";
+    context.lineJoin = "round";
+    context.beginPath();
+    context.moveTo(from.x, from.y);
+    context.lineTo(point.x, point.y);
+    context.stroke();
+    stroke.current.last = point;
+  }
+
+  function handlePointerDown(e) {
+    e.currentTarget.setPointerCapture(e.pointerId);
+    // The middle button pans with any tool
+    if (tool === "pan" || e.button === 1) {
+      stroke.current = { panning: true, x: e.clientX, y: e.clientY };
+      return;
+    }
+
+    const canvas = canvasRef.current;
+    const context = canvas.getContext("2d");
+    undoStack.current = [
+      ...undoStack.current.slice(1 - maxUndo),
+      context.getImageData(0, 0, canvas.width, canvas.height),
+    ];
+    setUndoCount(undoStack.current.length);
+
+    const point = canvasPoint(e);
+    stroke.current = { last: point };
+    drawTo(point);
+  }
+
+  function handlePointerMove(e) {
+    if (!stroke.current) return;
+    if (stroke.current.panning) {
+      const { x, y } = stroke.current;
+      setPan((prev) => ({
+        x: prev.x + e.clientX - x,
+        y: prev.y + e.clientY - y,
+      }));
+      stroke.current = { panning: true, x: e.clientX, y: e.clientY };
+      return;
+    }
+    drawTo(canvasPoint(e));
+  }
+
+  function undo() {
+    const previous = undoStack.current.pop();
+    if (!previous) return;
+    canvasRef.current.getContext("2d").putImageData(previous, 0, 0);
+    setUndoCount(undoStack.current.length);
+  }
+
+  // Zoom around a point in the viewport, keeping it under the pointer
+  function zoomTo(nextZoom, origin) {
+    const clamped = Math.min(maxZoom, Math.max(minZoom, nextZoom));
+    const rect = viewportRef.current.getBoundingClientRect();
+    const center = origin || { x: rect.width / 2, y: rect.height / 2 };
+    setPan((prev) => ({
+      x: center.x - ((center.x - prev.x) * clamped) / zoom,
+      y: center.y - ((center.y - prev.y) * clamped) / zoom,
+    }));
+    setZoom(clamped);
+  }
+
+  // React's wheel listeners are passive, so this one is added by hand to keep
+  // the page from scrolling while zooming
+  const wheelHandler = useRef(null);
+  wheelHandler.current = (e) => {
+    e.preventDefault();
+    const rect = viewportRef.current.getBoundingClientRect();
+    zoomTo(zoom * (e.deltaY < 0 ? 1.1 : 1 / 1.1), {
+      x: e.clientX - rect.left,
+      y: e.clientY - rect.top,
+    });
+  };
+  useEffect(() => {
+    const viewport = viewportRef.current;
+    const listener = (e) => wheelHandler.current(e);
+    viewport.addEventListener("wheel", listener, { passive: false });
+    return () => viewport.removeEventListener("wheel", listener);
+  }, []);
+
+  async function save() {
+    setSaving(true);
+    setError(null);
+    try {
+      await onSave(await exportMask(canvasRef.current));
+    } catch (err) {
+      console.error("Failed to save mask:", err);
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  }
+
+  const toolButton = (name, label) => (
+    <button
+      className={`px-3 py-1 rounded-md ${
+        tool === name
+          ? "bg-blue-500 text-white"
+          : "bg-gray-200 hover:bg-gray-300"
+      }`}
+      onClick={() => setTool(name)}
+    >
+      {label}
+    </button>
+  );
+
+  return (
+    <div className="flex flex-col gap-2 text-sm">
+      <div className="flex flex-wrap items-center gap-2">
+        {toolButton("brush", "Brush")}
+        {toolButton("eraser", "Eraser")}
+        {toolButton("pan", "Pan")}
+        <label className="flex items-center gap-1">
+          Size
+          <input
+            type="range"
+            min={1}
+            max={200}
+            value={brushSize}
+            onChange={(e) => setBrushSize(Number(e.target.value))}
+          />
+          {brushSize}px
+        </label>
+        <button
+          className="px-3 py-1 rounded-md bg-gray-200 hover:bg-gray-300 disabled:opacity-50"
+          disabled={undoCount === 0}
+          onClick={undo}
+        >
+          Undo
+        </button>
+        <button
+          className="px-2 py-1 rounded-md bg-gray-200 hover:bg-gray-300"
+          onClick={() => zoomTo(zoom / 1.25)}
+          aria-label="Zoom out"
+        >
+          −
+        </button>
+        <span>{Math.round(zoom * 100)}%</span>
+        <button
+          className="px-2 py-1 rounded-md bg-gray-200 hover:bg-gray-300"
+          onClick={() => zoomTo(zoom * 1.25)}
+          aria-label="Zoom in"
+        >
+          +
+        </button>
+        <button
+          className="px-3 py-1 rounded-md bg-gray-200 hover:bg-gray-300"
+          onClick={() => {
+            setZoom(1);
+            setPan({ x: 0, y: 0 });
+          }}
+        >
+          Fit
+        </button>
+      </div>
+      {masks && (
+        <label className="flex items-center gap-2">
+          Start from
+          <select
+            className="border rounded-md p-1"
+            value={seed}
+            onChange={(e) => setSeed(e.target.value)}
+          >
+            <option value="combined">Combined mask</option>
+            {masks.individual_masks.map((mask, index) => (
+              <option key={mask} value={index}>
+                Segment {index}
+              </option>
+            ))}
+            <option value="blank">Empty mask</option>
+          </select>
+        </label>
+      )}
+      <div
+        ref={viewportRef}
+        className="relative overflow-hidden rounded-lg bg-gray-200 touch-none select-none"
+        style={{
+          aspectRatio: size.width ? `${size.width} / ${size.height}` : "1",
+        }}
+      >
+        <div
+          className="absolute top-0 left-0 w-full origin-top-left"
+          style={{
+            transform: `translate(${pan.x}px, ${pan.y}px) scale(${zoom})`,
+          }}
+        >
+          <img
+            src={imageUrl}
+            alt="Image being masked"
+            className="w-full"
+            draggable={false}
+          />
+          <canvas
+            ref={canvasRef}
+            className={`absolute inset-0 w-full h-full opacity-50 ${
+              tool === "pan" ? "cursor-grab" : "cursor-crosshair"
+            }`}
+            onPointerDown={handlePointerDown}
+            onPointerMove={handlePointerMove}
+            onPointerUp={() => {
+              stroke.current = null;
+            }}
+          />
+        </div>
+      </div>
+      <div className="flex items-center gap-2">
+        <button
+          className="px-3 py-1 rounded-md bg-blue-500 text-white disabled:bg-gray-400"
+          disabled={saving || !size.width}
+          onClick={save}
+        >
+          {saving ? "Saving mask..." : "Save mask"}
+        </button>
+        {error && <span className="text-red-500">{error}</span>}
+      </div>
+    </div>
+  );
+}
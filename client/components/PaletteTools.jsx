@@ -0,0 +1,145 @@
+import { useState } from "react";
+import {
+  contrastRatio,
+  fileNameFor,
+  parseHex,
+  toAse,
+  toCss,
+  toJsonTokens,
+  toTailwind,
+  wcagLevels,
+} from "../lib/palette";
+import { downloadFile } from "../lib/download";
+
+const formats = [
+  { id: "css", label: "CSS", render: toCss },
+  { id: "tailwind", label: "Tailwind", render: toTailwind },
+  { id: "json", label: "JSON tokens", render: toJsonTokens },
+];
+
+function CopyButton({ text }) {
+  const [copied, setCopied] = useState(false);
+  return (
+    <button
+      className="px-3 py-1 rounded-md bg-gray-200 hover:bg-gray-300"
+      onClick={() =>
+        navigator.clipboard.writeText(text).then(() => {
+          setCopied(true);
+          setTimeout(() => setCopied(false), 1500);
+        })
+      }
+    >
+      {copied ? "Copied" : "Copy"}
+    </button>
+  );
+}
+
+// Text colour on background colour, with the WCAG level each pair reaches
+function ContrastMatrix({ colors }) {
+  return (
+    <div className="overflow-x-auto">
+      <table className="text-xs border-collapse">
+        <thead>
+          <tr>
+            <th className="p-1 text-left">Text ↓ / Background →</th>
+            {colors.map((background, index) => (
+              <th key={index} className="p-1">
+                <div
+                  className="w-8 h-4 rounded border border-gray-300 mx-auto"
+                  style={{ backgroundColor: background }}
+                  title={background}
+                />
+              </th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {colors.map((text, row) => (
+            <tr key={row}>
+              <td className="p-1 font-mono">{text}</td>
+              {colors.map((background, column) => {
+                if (row === column) {
+                  return (
+                    <td key={column} className="p-1 text-center">
+                      –
+                    </td>
+                  );
+                }
+                const ratio = contrastRatio(text, background);
+                const { normal, large } = wcagLevels(ratio);
+                return (
+                  <td
+                    key={column}
+                    className="p-1 text-center rounded"
+                    style={{ backgroundColor: background, color: text }}
+                    title={`${ratio.toFixed(2)}:1 · normal text ${normal || "fails"} · large text ${large || "fails"}`}
+                  >
+                    <div className="font-bold">{ratio.toFixed(1)}</div>
+                    <div>{normal || (large ? `${large} large` : "fail")}</div>
+                  </td>
+                );
+              })}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <p className="text-xs text-gray-600 mt-1">
+        AA needs 4.5:1 for normal text and 3:1 for large text, AAA needs 7:1 and
+        4.5:1.
+      </p>
+    </div>
+  );
+}
+
+// Export and accessibility panel shown under a palette
+export default function PaletteTools({ theme, colors }) {
+  const [open, setOpen] = useState(null);
+  const palette = { theme, colors };
+  const valid = colors.filter((color) => parseHex(color));
+  if (valid.length === 0) return null;
+
+  const format = formats.find((entry) => entry.id === open);
+
+  return (
+    <div className="flex flex-col gap-2 text-sm">
+      <div className="flex flex-wrap gap-2">
+        {[...formats, { id: "contrast", label: "Contrast" }].map((entry) => (
+          <button
+            key={entry.id}
+            className={`px-3 py-1 rounded-md ${
+              open === entry.id
+                ? "bg-blue-500 text-white"
+                : "bg-gray-200 hover:bg-gray-300"
+            }`}
+            onClick={() => setOpen(open === entry.id ? null : entry.id)}
+          >
+            {entry.label}
+          </button>
+        ))}
+        <button
+          className="px-3 py-1 rounded-md bg-gray-200 hover:bg-gray-300"
+          onClick={() =>
+            downloadFile(
+              toAse(palette),
+              fileNameFor(palette, "ase"),
+              "application/octet-stream",
+            )
+          }
+        >
+          Download ASE
+        </button>
+      </div>
+      {format && (
+        <div className="flex flex-col gap-1">
+          <pre className="bg-gray-100 rounded-md p-2 overflow-x-auto text-xs">
+            {format.render(palette)}
+          </pre>
+          <div>
+            <CopyButton text={format.render(palette)} />
+          </div>
+        </div>
+      )}
+      {open === "contrast" && <ContrastMatrix colors={valid} />}
+    </div>
+  );
+}
@@ -0,0 +1,180 @@
+import { useEffect, useRef, useState } from "react";
+import { Edit2, Plus, Trash2 } from "react-feather";
+import { authFetch } from "../lib/auth";
+
+async function request(url, options = {}) {
+  const response = await authFetch(url, {
+    ...options,
+    headers: { "Content-Type": "application/json" },
+  });
+  if (response.status === 204) return null;
+
+  const data = await response.json();
+  if (data.error) {
+    throw new Error(data.error);
+  }
+  return data;
+}
+
+// Projects persist a studio session's images, masks, palettes, transcript and
+// realtime session settings on the server. Saves are debounced so rapid
+// changes only write once.
+export function useProjects() {
+  const [projects, setProjects] = useState([]);
+  const [current, setCurrent] = useState(null);
+  const saveTimer = useRef(null);
+  const pendingSave = useRef(null);
+
+  async function refresh() {
+    try {
+      setProjects(await request("/projects"));
+    } catch (err) {
+      console.error("Failed to list projects:", err);
+    }
+  }
+
+  useEffect(() => {
+    refresh();
+  }, []);
+
+  async function open(id) {
+    setCurrent(await request(`/projects/${id}`));
+  }
+
+  async function create(name) {
+    const project = await request("/projects", {
+      method: "POST",
+      body: JSON.stringify({ name }),
+    });
+    setCurrent(project);
+    refresh();
+    return project;
+  }
+
+  async function rename(id, name) {
+    const project = await request(`/projects/${id}`, {
+      method: "PATCH",
+      body: JSON.stringify({ name }),
+    });
+    setCurrent((prev) => (prev?.id === id ? { ...prev, name } : prev));
+    refresh();
+    return project;
+  }
+
+  async function remove(id) {
+    await request(`/projects/${id}`, { method: "DELETE" });
+    setCurrent((prev) => (prev?.id === id ? null : prev));
+    refresh();
+  }
+
+  // Sends the pending save straight away
+  function flushSave() {
+    clearTimeout(saveTimer.current);
+    if (!pendingSave.current) return;
+
+    const { id, state } = pendingSave.current;
+    pendingSave.current = null;
+    request(`/projects/${id}`, {
+      method: "PATCH",
+      body: JSON.stringify(state),
+    })
+      .then(refresh)
+      .catch((err) => console.error("Failed to save project:", err));
+  }
+
+  // Saves from different parts of the studio are merged into one PATCH. A
+  // save for another project first sends the one waiting for the last.
+  function save(id, state) {
+    if (pendingSave.current && pendingSave.current.id !== id) {
+      flushSave();
+    }
+    clearTimeout(saveTimer.current);
+    pendingSave.current = {
+      id,
+      state: { ...pendingSave.current?.state, ...state },
+    };
+    saveTimer.current = setTimeout(flushSave, 1000);
+  }
+
+  return { projects, current, open, create, rename, remove, save };
+}
+
+export default function ProjectBar({ projects, disabled }) {
+  const [renaming, setRenaming] = useState(false);
+  const [name, setName] = useState("");
+  const { current } = projects;
+
+  function submitRename() {
+    if (name.trim()) {
+      projects.rename(current.id, name.trim());
+    }
+    setRenaming(false);
+  }
+
+  return (
+    <div className="flex items-center gap-2 ml-auto text-sm">
+      {renaming ? (
+        <input
+          autoFocus
+          className="border border-gray-200 rounded-md p-1"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          onBlur={submitRename}
+          onKeyDown={(e) => {
+            if (e.key === "Enter") submitRename();
+            if (e.key === "Escape") setRenaming(false);
+          }}
+        />
+      ) : (
+        <select
+          className="border border-gray-200 rounded-md p-1 bg-white"
+          value={current?.id || ""}
+          disabled={disabled}
+          onChange={(e) => e.target.value && projects.open(e.target.value)}
+          aria-label="Open project"
+        >
+          <option value="">No project</option>
+          {projects.projects.map((project) => (
+            <option key={project.id} value={project.id}>
+              {project.name}
+            </option>
+          ))}
+        </select>
+      )}
+      <button
+        className="p-1 hover:opacity-70"
+        disabled={disabled}
+        onClick={() => projects.create()}
+        aria-label="New project"
+      >
+        <Plus height={16} />
+      </button>
+      {current && (
+        <>
+          <button
+            className="p-1 hover:opacity-70"
+            onClick={() => {
+              setName(current.name);
+              setRenaming(true);
+            }}
+            aria-label="Rename project"
+          >
+            <Edit2 height={16} />
+          </button>
+          <button
+            className="p-1 hover:opacity-70"
+            disabled={disabled}
+            onClick={() => {
+              if (window.confirm(`Delete project "${current.name}"?`)) {
+                projects.remove(current.id);
+              }
+            }}
+            aria-label="Delete project"
+          >
+            <Trash2 height={16} />
+          </button>
+        </>
+      )}
+    </div>
+  );
+}
@@ -1,19 +1,50 @@
-import { useState } from "react";
-import { CloudLightning, CloudOff, MessageSquare } from "react-feather";
+import { useRef, useState } from "react";
+import {
+  CloudLightning,
+  CloudOff,
+  Download,
+  MessageSquare,
+  PlayCircle,
+  StopCircle,
+} from "react-feather";
 import Button from "./Button";
+import { downloadJsonl } from "../lib/eventLog";
 
-function SessionStopped({ startSession }) {
+const replaySpeeds = [
+  { label: "1×", value: 1 },
+  { label: "4×", value: 4 },
+  { label: "16×", value: 16 },
+  { label: "instant", value: Infinity },
+];
+
+function SessionStopped({ startSession, startReplay }) {
   const [isActivating, setIsActivating] = useState(false);
+  const [speed, setSpeed] = useState(1);
+  const [error, setError] = useState(null);
+  const fileInput = useRef(null);
 
   function handleStartSession() {
     if (isActivating) return;
 
     setIsActivating(true);
-    startSession();
+    setError(null);
+    startSession().catch((err) => {
+      setIsActivating(false);
+      setError(err.message);
+    });
+  }
+
+  function handleReplayFile(e) {
+    const file = e.target.files[0];
+    e.target.value = "";
+    if (!file) return;
+
+    setError(null);
+    startReplay(file, speed).catch((err) => setError(err.message));
   }
 
   return (
-    <div className="flex items-center justify-center w-full h-full">
+    <div className="flex items-center justify-center w-full h-full gap-4">
       <Button
         onClick={handleStartSession}
         className={isActivating ? "bg-gray-600" : "bg-red-600"}
@@ -21,12 +52,55 @@ function SessionStopped({ startSession }) {
       >
         {isActivating ? "starting session..." : "start session"}
       </Button>
+      <select
+        className="border border-gray-200 rounded-md p-2 text-sm"
+        value={speed}
+        onChange={(e) => setSpeed(Number(e.target.value))}
+        aria-label="Replay speed"
+      >
+        {replaySpeeds.map(({ label, value }) => (
+          <option key={label} value={value}>
+            {label}
+          </option>
+        ))}
+      </select>
+      <Button
+        onClick={() => fileInput.current.click()}
+        className="bg-gray-600"
+        icon={<PlayCircle height={16} />}
+      >
+        replay recording
+      </Button>
+      <input
+        ref={fileInput}
+        type="file"
+        accept=".jsonl,application/x-ndjson"
+        className="hidden"
+        onChange={handleReplayFile}
+      />
+      {error && <p className="text-sm text-red-600">{error}</p>}
     </div>
   );
 }
 
-function SessionActive({ stopSession, sendTextMessage }) {
+function SessionReplaying({ replay, stopReplay }) {
+  return (
+    <div className="flex items-center justify-center w-full h-full gap-4">
+      <p className="text-sm text-gray-600">
+        {replay.done ? "Replayed" : "Replaying"} {replay.name}
+        {replay.total ? ` · ${replay.played} / ${replay.total} events` : ""}
+      </p>
+      <Button onClick={stopReplay} icon={<StopCircle height={16} />}>
+        stop replay
+      </Button>
+    </div>
+  );
+}
+
+function SessionActive({ stopSession, sendTextMessage, events, connection }) {
   const [message, setMessage] = useState("");
+  // Messages can't be sent while the session is reconnecting
+  const canSend = connection.status === "connected";
 
   function handleSendClientEvent() {
     sendTextMessage(message);
@@ -37,12 +111,14 @@ function SessionActive({ stopSession, sendTextMessage }) {
     <div className="flex items-center justify-center w-full h-full gap-4">
       <input
         onKeyDown={(e) => {
-          if (e.key === "Enter" && message.trim()) {
+          if (e.key === "Enter" && canSend && message.trim()) {
             handleSendClientEvent();
           }
         }}
         type="text"
-        placeholder="send a text message..."
+        placeholder={
+          canSend ? "send a text message..." : "waiting for the connection..."
+        }
         className="border border-gray-200 rounded-full p-4 flex-1"
         value={message}
         onChange={(e) => setMessage(e.target.value)}
@@ -53,11 +129,19 @@ function SessionActive({ stopSession, sendTextMessage }) {
             handleSendClientEvent();
           }
         }}
+        disabled={!canSend}
         icon={<MessageSquare height={16} />}
         className="bg-blue-400"
       >
         send text
       </Button>
+      <Button
+        onClick={() => downloadJsonl(events)}
+        icon={<Download height={16} />}
+        className="bg-gray-600"
+      >
+        save recording
+      </Button>
       <Button onClick={stopSession} icon={<CloudOff height={16} />}>
         disconnect
       </Button>
@@ -71,19 +155,28 @@ export default function SessionControls({
   sendClientEvent,
   sendTextMessage,
   serverEvents,
+  events,
   isSessionActive,
+  connection,
+  replay,
+  startReplay,
+  stopReplay,
 }) {
   return (
     <div className="flex gap-4 border-t-2 border-gray-200 rounded-md">
-      {isSessionActive ? (
+      {replay ? (
+        <SessionReplaying replay={replay} stopReplay={stopReplay} />
+      ) : isSessionActive ? (
         <SessionActive
           stopSession={stopSession}
           sendClientEvent={sendClientEvent}
           sendTextMessage={sendTextMessage}
           serverEvents={serverEvents}
+          events={events}
+          connection={connection}
         />
       ) : (
-        <SessionStopped startSession={startSession} />
+        <SessionStopped startSession={startSession} startReplay={startReplay} />
       )}
     </div>
   );
@@ -0,0 +1,334 @@
+import { useEffect, useState } from "react";
+import { Save, Trash2 } from "react-feather";
+import { authFetch } from "../lib/auth";
+
+// The realtime session settings used for the next session, kept with the
+// project along with its named presets. The server's defaults and the
+// allowed values come from /session-settings.
+export function useSessionSettings(project, saveProject) {
+  const [config, setConfig] = useState(null);
+  const [settings, setSettings] = useState(null);
+  const [presets, setPresets] = useState([]);
+
+  useEffect(() => {
+    authFetch("/session-settings")
+      .then((response) => response.json())
+      .then(setConfig)
+      .catch((err) => console.error("Failed to load session settings:", err));
+  }, []);
+
+  useEffect(() => {
+    setSettings(project?.sessionSettings || null);
+    setPresets(project?.sessionPresets || []);
+  }, [project?.id]);
+
+  function persist(state) {
+    if (project) {
+      saveProject(project.id, state);
+    }
+  }
+
+  function update(changes) {
+    const next = { ...(settings || config.defaults), ...changes };
+    setSettings(next);
+    persist({ sessionSettings: next });
+  }
+
+  function reset() {
+    setSettings(null);
+    persist({ sessionSettings: null });
+  }
+
+  function savePreset(name) {
+    const next = [
+      ...presets.filter((preset) => preset.name !== name),
+      { name, settings: settings || config.defaults },
+    ];
+    setPresets(next);
+    persist({ sessionPresets: next });
+  }
+
+  function applyPreset(name) {
+    const preset = presets.find((entry) => entry.name === name);
+    if (preset) {
+      update(preset.settings);
+    }
+  }
+
+  function deletePreset(name) {
+    const next = presets.filter((preset) => preset.name !== name);
+    setPresets(next);
+    persist({ sessionPresets: next });
+  }
+
+  return {
+    // null until the server's defaults have loaded
+    current: config && { ...config.defaults, ...settings },
+    options: config?.options,
+    presets,
+    update,
+    reset,
+    savePreset,
+    applyPreset,
+    deletePreset,
+  };
+}
+
+function Field({ label, children }) {
+  return (
+    <label className="flex flex-col gap-1 text-sm">
+      <span className="text-gray-600">{label}</span>
+      {children}
+    </label>
+  );
+}
+
+const inputClass = "border border-gray-200 rounded-md p-1";
+
+const transportLabels = {
+  webrtc: "WebRTC, browser to OpenAI",
+  relay: "WebSocket, relayed by the server",
+};
+
+function TurnDetectionFields({ turnDetection, options, onChange }) {
+  const set = (changes) => onChange({ ...turnDetection, ...changes });
+  const number = (name) => (e) => set({ [name]: Number(e.target.value) });
+
+  return (
+    <>
+      <Field label="Turn detection">
+        <select
+          className={inputClass}
+          value={turnDetection.type}
+          onChange={(e) => set({ type: e.target.value })}
+        >
+          {options.turnDetection.map((type) => (
+            <option key={type} value={type}>
+              {type}
+            </option>
+          ))}
+        </select>
+      </Field>
+      {turnDetection.type === "server_vad" && (
+        <div className="grid grid-cols-3 gap-2">
+          <Field label="Threshold">
+            <input
+              type="number"
+              className={inputClass}
+              min={0}
+              max={1}
+              step={0.05}
+              value={turnDetection.threshold}
+              onChange={number("threshold")}
+            />
+          </Field>
+          <Field label="Prefix padding (ms)">
+            <input
+              type="number"
+              className={inputClass}
+              min={0}
+              max={2000}
+              step={50}
+              value={turnDetection.prefixPaddingMs}
+              onChange={number("prefixPaddingMs")}
+            />
+          </Field>
+          <Field label="Silence (ms)">
+            <input
+              type="number"
+              className={inputClass}
+              min={0}
+              max={5000}
+              step={50}
+              value={turnDetection.silenceDurationMs}
+              onChange={number("silenceDurationMs")}
+            />
+          </Field>
+        </div>
+      )}
+      {turnDetection.type === "semantic_vad" && (
+        <Field label="Eagerness">
+          <select
+            className={inputClass}
+            value={turnDetection.eagerness}
+            onChange={(e) => set({ eagerness: e.target.value })}
+          >
+            {options.eagerness.map((eagerness) => (
+              <option key={eagerness} value={eagerness}>
+                {eagerness}
+              </option>
+            ))}
+          </select>
+        </Field>
+      )}
+    </>
+  );
+}
+
+function Presets({ sessionSettings }) {
+  const [name, setName] = useState("");
+  const { presets } = sessionSettings;
+
+  return (
+    <div className="flex flex-col gap-2 text-sm">
+      <h3 className="font-bold">Presets</h3>
+      {presets.map((preset) => (
+        <div key={preset.name} className="flex items-center gap-2">
+          <button
+            className="flex-1 text-left p-1 rounded-md hover:bg-gray-100"
+            onClick={() => sessionSettings.applyPreset(preset.name)}
+          >
+            {preset.name}
+          </button>
+          <button
+            className="p-1 hover:opacity-70"
+            onClick={() => sessionSettings.deletePreset(preset.name)}
+            aria-label={`Delete preset ${preset.name}`}
+          >
+            <Trash2 height={14} />
+          </button>
+        </div>
+      ))}
+      <form
+        className="flex gap-2"
+        onSubmit={(e) => {
+          e.preventDefault();
+          if (name.trim()) {
+            sessionSettings.savePreset(name.trim());
+            setName("");
+          }
+        }}
+      >
+        <input
+          className={`${inputClass} flex-1`}
+          placeholder="Preset name"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+        />
+        <button
+          type="submit"
+          className="p-1 hover:opacity-70"
+          aria-label="Save preset"
+        >
+          <Save height={16} />
+        </button>
+      </form>
+    </div>
+  );
+}
+
+// Edits the settings for the next session; a running session keeps the ones
+// it was started with
+export default function SessionSettings({ sessionSettings, isSessionActive }) {
+  const { current, options, update } = sessionSettings;
+  if (!current) {
+    return <div className="text-gray-500 py-2">Loading settings...</div>;
+  }
+
+  return (
+    <div className="flex flex-col gap-4 py-2">
+      <h2 className="text-lg font-bold">Session settings</h2>
+      {isSessionActive && (
+        <p className="text-sm text-gray-500">
+          Changes apply to the next session.
+        </p>
+      )}
+      <Field label="Connection">
+        <select
+          className={inputClass}
+          value={current.transport}
+          onChange={(e) => update({ transport: e.target.value })}
+        >
+          {options.transports.map((transport) => (
+            <option key={transport} value={transport}>
+              {transportLabels[transport] || transport}
+            </option>
+          ))}
+        </select>
+      </Field>
+      <Field label="Model">
+        <select
+          className={inputClass}
+          value={current.model}
+          onChange={(e) => update({ model: e.target.value })}
+        >
+          {options.models.map((model) => (
+            <option key={model} value={model}>
+              {model}
+            </option>
+          ))}
+        </select>
+      </Field>
+      <div className="grid grid-cols-2 gap-2">
+        <Field label="Voice">
+          <select
+            className={inputClass}
+            value={current.voice}
+            onChange={(e) => update({ voice: e.target.value })}
+          >
+            {options.voices.map((voice) => (
+              <option key={voice} value={voice}>
+                {voice}
+              </option>
+            ))}
+          </select>
+        </Field>
+        <Field label="Modalities">
+          <select
+            className={inputClass}
+            value={current.modalities.join(",")}
+            onChange={(e) => update({ modalities: e.target.value.split(",") })}
+          >
+            {options.modalities.map((modalities) => (
+              <option key={modalities.join(",")} value={modalities.join(",")}>
+                {modalities.join(" + ")}
+              </option>
+            ))}
+          </select>
+        </Field>
+      </div>
+      <Field label="Speech transcription">
+        <select
+          className={inputClass}
+          value={current.transcriptionModel}
+          onChange={(e) => update({ transcriptionModel: e.target.value })}
+        >
+          {options.transcriptionModels.map((model) => (
+            <option key={model} value={model}>
+              {model}
+            </option>
+          ))}
+        </select>
+      </Field>
+      <Field label={`Temperature: ${current.temperature}`}>
+        <input
+          type="range"
+          min={options.temperature.minimum}
+          max={options.temperature.maximum}
+          step={0.05}
+          value={current.temperature}
+          onChange={(e) => update({ temperature: Number(e.target.value) })}
+        />
+      </Field>
+      <TurnDetectionFields
+        turnDetection={current.turnDetection}
+        options={options}
+        onChange={(turnDetection) => update({ turnDetection })}
+      />
+      <Field label="Instructions">
+        <textarea
+          className={`${inputClass} h-40 font-mono text-xs`}
+          value={current.instructions}
+          onChange={(e) => update({ instructions: e.target.value })}
+        />
+      </Field>
+      <button
+        className="self-start text-sm text-gray-600 hover:underline"
+        onClick={sessionSettings.reset}
+      >
+        Reset to server defaults
+      </button>
+      <Presets sessionSettings={sessionSettings} />
+    </div>
+  );
+}
@@ -0,0 +1,93 @@
+import { useState } from "react";
+import { LogIn, UserPlus } from "react-feather";
+import logo from "/assets/openai-logomark.svg";
+import Button from "./Button";
+import { signIn, signUp } from "../lib/auth";
+
+const inputClass = "border border-gray-200 rounded-md p-2";
+
+// Shown instead of the studio until someone signs in or creates an account
+export default function SignIn() {
+  const [mode, setMode] = useState("sign-in");
+  const [email, setEmail] = useState("");
+  const [password, setPassword] = useState("");
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+  const [message, setMessage] = useState(null);
+  const isSignUp = mode === "sign-up";
+
+  async function handleSubmit(e) {
+    e.preventDefault();
+    setIsSubmitting(true);
+    setError(null);
+    setMessage(null);
+    try {
+      if (isSignUp) {
+        setMessage(await signUp(email, password));
+      } else {
+        await signIn(email, password);
+      }
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsSubmitting(false);
+    }
+  }
+
+  return (
+    <main className="flex items-center justify-center h-screen">
+      <form
+        className="flex flex-col gap-3 w-80 p-6 rounded-md border border-gray-200"
+        onSubmit={handleSubmit}
+      >
+        <div className="flex items-center gap-2">
+          <img style={{ width: "24px" }} src={logo} />
+          <h1 className="text-lg font-bold">
+            {isSignUp ? "Create an account" : "Sign in"}
+          </h1>
+        </div>
+        <input
+          type="email"
+          className={inputClass}
+          placeholder="Email"
+          autoComplete="email"
+          value={email}
+          onChange={(e) => setEmail(e.target.value)}
+          required
+        />
+        <input
+          type="password"
+          className={inputClass}
+          placeholder="Password (8 characters or more)"
+          autoComplete={isSignUp ? "new-password" : "current-password"}
+          minLength={8}
+          value={password}
+          onChange={(e) => setPassword(e.target.value)}
+          required
+        />
+        {error && <p className="text-sm text-red-500">{error}</p>}
+        {message && <p className="text-sm text-gray-600">{message}</p>}
+        <Button
+          className="justify-center"
+          disabled={isSubmitting}
+          icon={isSignUp ? <UserPlus height={16} /> : <LogIn height={16} />}
+        >
+          {isSignUp ? "create account" : "sign in"}
+        </Button>
+        <button
+          type="button"
+          className="text-sm text-gray-500 hover:underline"
+          onClick={() => {
+            setMode(isSignUp ? "sign-in" : "sign-up");
+            setError(null);
+            setMessage(null);
+          }}
+        >
+          {isSignUp
+            ? "Already have an account? Sign in"
+            : "New here? Create an account"}
+        </button>
+      </form>
+    </main>
+  );
+}
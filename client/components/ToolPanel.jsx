@@ -1,389 +1,354 @@
-import { useEffect, useState } from "react";
+import { useEffect, useRef, useState } from "react";
+import ColorPalette from "./ColorPalette";
+import ImageHistory, { useImageHistory } from "./ImageHistory";
+import ImageSegmenter from "./ImageSegmenter";
+import MaskEditor from "./MaskEditor";
+import Transcript from "./Transcript";
+import JobList, { useJobs } from "./Jobs";
+import { authFetch } from "../lib/auth";
+import { savePaintedMask, segmentCurrentImage } from "../lib/segments";
+import { replayArguments, replayJobs } from "../lib/replay";
+import {
+  mergeTranscript,
+  transcriptFromEvents,
+  transcriptSummary,
+} from "../lib/transcript";
+import {
+  buildSessionUpdate,
+  errorInstructions,
+  executeTool,
+  getTool,
+  invalidArgumentsInstructions,
+  toolErrorOutput,
+  validateToolCall,
+} from "../tools";
 
-const colorPaletteFunctionDescription = `
-Call this function when a user asks for a color palette.
-`;
-
-const imageGenerationFunctionDescription = `
-Call this function when a user asks to generate, create, or make an image.
-`;
-
-const imageEditFunctionDescription = `
-Call this function when a user asks to edit or modify an existing image.
-`;
-
-const imageSegmentFunctionDescription = `
-Call this function when a user asks to mask a specific object in an image.
-`;
-
-const sessionUpdate = {
-  type: "session.update",
-  session: {
-    tools: [
-      {
-        type: "function",
-        name: "display_color_palette",
-        description: colorPaletteFunctionDescription,
-        parameters: {
-          type: "object",
-          strict: true,
-          properties: {
-            theme: {
-              type: "string",
-              description: "Description of the theme for the color scheme.",
-            },
-            colors: {
-              type: "array",
-              description: "Array of five hex color codes based on the theme.",
-              items: {
-                type: "string",
-                description: "Hex color code",
-              },
-            },
-          },
-          required: ["theme", "colors"],
-        },
-      },
-      {
-        type: "function",
-        name: "generate_image",
-        description: imageGenerationFunctionDescription,
-        parameters: {
-          type: "object",
-          strict: true,
-          properties: {
-            prompt: {
-              type: "string",
-              description: "Detailed description of the image to generate",
-            },
-            guidance: {
-              type: "number",
-              description: "Guidance scale for image generation (higher values make the image more closely match the prompt)",
-              default: 3.5,
-              minimum: 1,
-              maximum: 20
-            }
-          },
-          required: ["prompt"],
-        },
-      },
-      {
-        type: "function",
-        name: "edit_image",
-        description: "Call this function when a user asks to edit or modify an existing image",
-        parameters: {
-          type: "object",
-          strict: true,
-          properties: {
-            imageUrl: {
-              type: "string",
-              description: "URL of the image to edit"
-            },
-            prompt: {
-              type: "string",
-              description: "Description of the desired edits"
-            }
-          },
-          required: ["imageUrl", "prompt"]
-        }
-      },
-      {
-        type: "function",
-        name: "create_image_mask",
-        description: "Call this function when a user asks to mask a specific object in an image",
-        parameters: {
-          type: "object",
-          strict: true,
-          properties: {
-            currentImageUrl: {
-              type: "string",
-              description: "URL of the current image to analyze for segments"
-            },
-            prompt: {
-              type: "string",
-              description: "What to look for in the image (e.g., 'car', 'person', 'dog')"
-            }
-          },
-          required: ["currentImageUrl", "prompt"]
-        }
-      }
-    ],
-    tool_choice: "auto",
-  },
+const imageHeadings = {
+  regenerate_image: "Regenerated Image",
+  edit_image: "Edited Image",
+  upscale_image: "Upscaled Image",
 };
 
-function ImageSegmenter({ imageUrl, prompt, shouldAnalyze }) {
-  const [segments, setSegments] = useState(null);
-  const [error, setError] = useState(null);
-  const [loading, setLoading] = useState(false);
-  const [hasAnalyzed, setHasAnalyzed] = useState(false);
+// Shows the latest tool result, or the restored project state when no tool
+// has been called yet in this session
+function FunctionCallOutput({ functionCallOutput, studio }) {
+  // "select" shows the click-to-segment overlay, "paint" the mask editor
+  const [maskMode, setMaskMode] = useState(null);
+  const { history, palettes } = studio;
+  const currentImage = history.currentImage;
+  const Result = functionCallOutput && getTool(functionCallOutput.name)?.Result;
+  const latestPalette =
+    !functionCallOutput && palettes.length > 0
+      ? palettes[palettes.length - 1]
+      : null;
 
-  useEffect(() => {
-    async function getSegments() {
-      if (!imageUrl || !shouldAnalyze || hasAnalyzed) {
-        return;
-      }
-
-      setLoading(true);
-      try {
-        const response = await fetch("/get-segments", {
-          method: "POST",
-          headers: { "Content-Type": "application/json" },
-          body: JSON.stringify({ 
-            currentImageUrl: imageUrl,
-            prompt: prompt || "object"
-          })
-        });
-        
-        if (!response.ok) {
-          throw new Error(`HTTP error! status: ${response.status}`);
-        }
-        
-        const data = await response.json();
-        if (data.error) {
-          throw new Error(data.error);
-        }
-        setSegments(data);
-        setHasAnalyzed(true);
-      } catch (error) {
-        console.error("Failed to get segments:", error);
-        setError(error.message);
-      } finally {
-        setLoading(false);
-      }
-    }
-
-    getSegments();
-  }, [imageUrl, prompt, shouldAnalyze, hasAnalyzed]);
-
-  // Reset hasAnalyzed when shouldAnalyze changes to false
-  useEffect(() => {
-    if (!shouldAnalyze) {
-      setHasAnalyzed(false);
-    }
-  }, [shouldAnalyze]);
-
-  if (!shouldAnalyze) {
-    return null;
-  }
-
-  if (loading) {
-    return <div>Analyzing image segments...</div>;
-  }
-
-  if (error) {
-    return <div className="text-red-500">{error}</div>;
-  }
+  return (
+    <div className="flex flex-col gap-6">
+      {/* Tool Result Section */}
+      {Result && !functionCallOutput.result?.error && (
+        <Result
+          args={functionCallOutput.args}
+          result={functionCallOutput.result}
+          studio={studio}
+        />
+      )}
 
-  if (!segments) {
-    return <div>No segments found</div>;
-  }
+      {/* Restored Palette Section */}
+      {latestPalette && <ColorPalette {...latestPalette} />}
 
-  return (
-    <div className="flex flex-col gap-4">
-      <div className="grid grid-cols-2 gap-4">
-        <div>
-          <h3 className="font-bold mb-2">Original Image</h3>
-          <img src={imageUrl} alt="Original" className="w-full rounded-lg" />
-        </div>
-        <div>
-          <h3 className="font-bold mb-2">Combined Segments</h3>
-          <img src={segments.combined_mask} alt="Combined segments" className="w-full rounded-lg" />
-        </div>
-      </div>
-      <div>
-        <h3 className="font-bold mb-2">Individual Segments</h3>
-        <div className="grid grid-cols-3 gap-2">
-          {segments.individual_masks.map((mask, index) => (
-            <img 
-              key={index} 
-              src={mask} 
-              alt={`Segment ${index + 1}`} 
-              className="w-full rounded-lg"
+      {/* Generated Image Section */}
+      {currentImage && (
+        <div className="flex flex-col gap-2">
+          <div className="flex justify-between items-center">
+            <h3 className="font-bold">
+              {imageHeadings[currentImage.tool] || "Generated Image"} (v
+              {history.numberOf(currentImage)})
+            </h3>
+            <div className="flex gap-2">
+              {[
+                ["select", "Select region"],
+                ["paint", "Paint mask"],
+              ].map(([mode, label]) => (
+                <button
+                  key={mode}
+                  className={`text-sm px-3 py-1 rounded-md ${
+                    maskMode === mode
+                      ? "bg-blue-500 text-white"
+                      : "bg-gray-200 hover:bg-gray-300"
+                  }`}
+                  onClick={() => setMaskMode(maskMode === mode ? null : mode)}
+                >
+                  {label}
+                </button>
+              ))}
+            </div>
+          </div>
+          {maskMode === "select" && (
+            <ImageSegmenter
+              imageUrl={currentImage.url}
+              segments={history.currentMasks}
+              onSegment={(region) => segmentCurrentImage(region, studio)}
             />
-          ))}
+          )}
+          {maskMode === "paint" && (
+            <MaskEditor
+              key={currentImage.id}
+              imageUrl={currentImage.url}
+              masks={history.currentMasks}
+              onSave={(blob) => savePaintedMask(blob, studio)}
+            />
+          )}
+          {!maskMode && (
+            <img
+              src={currentImage.url}
+              alt="Generated image"
+              className="w-full rounded-lg shadow-lg"
+            />
+          )}
         </div>
-      </div>
+      )}
     </div>
   );
 }
 
+// A system message telling a new realtime session what happened before the
+// connection dropped, so the conversation can carry on
+function resumeContext(transcript, history) {
+  const { currentImage, versions } = history;
+  const image = currentImage
+    ? `The current image is version ${versions.indexOf(currentImage) + 1}${
+        currentImage.prompt ? `, "${currentImage.prompt}"` : ""
+      }: ${currentImage.url}`
+    : "There is no current image yet.";
+
+  return {
+    type: "conversation.item.create",
+    item: {
+      type: "message",
+      role: "system",
+      content: [
+        {
+          type: "input_text",
+          text: `The connection dropped and this session replaces the previous one. Carry on the conversation without mentioning the reconnection unless asked. So far:\n${transcriptSummary(transcript)}\n${image}`,
+        },
+      ],
+    },
+  };
+}
+
 export default function ToolPanel({
   isSessionActive,
+  isReplaying,
   sendClientEvent,
   events,
+  project,
+  saveProject,
 }) {
-  const [functionAdded, setFunctionAdded] = useState(false);
+  // The session.created event of the realtime session the tools were sent to
+  const [configuredSessionId, setConfiguredSessionId] = useState(null);
   const [functionCallOutput, setFunctionCallOutput] = useState(null);
-  const [currentImageUrl, setCurrentImageUrl] = useState(null);
   const [error, setError] = useState(null);
+  const history = useImageHistory();
+  const jobs = useJobs();
+  const { currentImage } = history;
+  const [palettes, setPalettes] = useState([]);
+  const [savedTranscript, setSavedTranscript] = useState([]);
+  const [restoredProjectId, setRestoredProjectId] = useState(null);
+  // Resolves to the session context the tool schemas were built from. Calls
+  // wait for it, since a fast replay can call tools before /models answers.
+  const toolContext = useRef(Promise.resolve({}));
+  // The event effect re-runs on every render, so remember which calls ran
+  const handledCallIds = useRef(new Set());
+  const transcript = mergeTranscript(
+    savedTranscript,
+    transcriptFromEvents(events),
+  );
+  // Turns still streaming in are saved once they are done
+  const finishedTranscript = transcript.filter((entry) => !entry.partial);
+  const transcriptKey = finishedTranscript
+    .map((entry) => `${entry.id}:${entry.output !== undefined}`)
+    .join();
 
-  // Define generateImage before useEffect
-  const generateImage = async (prompt, guidance = 3.5) => {
-    try {
-      const response = await fetch("/generate-image", {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({ prompt, guidance }),
-      });
+  // Load the studio state of the project that was opened
+  useEffect(() => {
+    history.restore(project?.versions, project?.currentVersionId);
+    setPalettes(project?.palettes || []);
+    setSavedTranscript(project?.transcript || []);
+    setRestoredProjectId(project?.id || null);
+  }, [project?.id]);
 
-      const data = await response.json();
-      if (data.error) {
-        setError(data.error);
-        return false;
+  // Save changes back, but only once the project's own state is loaded
+  useEffect(() => {
+    if (!project || restoredProjectId !== project.id) return;
+    saveProject(project.id, {
+      versions: history.versions,
+      currentVersionId: history.currentVersion?.id || null,
+      palettes,
+      transcript: finishedTranscript,
+    });
+  }, [
+    restoredProjectId,
+    history.versions,
+    history.currentVersion?.id,
+    palettes,
+    transcriptKey,
+  ]);
+
+  // What tool handlers and result renderers get to work with
+  const studio = {
+    history,
+    jobs,
+    palettes,
+    addPalette: (palette) => setPalettes((prev) => [...prev, palette]),
+  };
+
+  // Run one function call and send its result back keyed by call_id
+  async function runTool(call) {
+    let args = {};
+    let result;
+    try {
+      const context = await toolContext.current;
+      if (isReplaying) {
+        // Replayed calls run offline and reproducibly on the mock provider
+        args = validateToolCall(call.name, replayArguments(call), context);
+        result = await executeTool(call, args, {
+          ...studio,
+          jobs: replayJobs(jobs, call.call_id),
+        });
       } else {
-        setCurrentImageUrl(data[0].url);
-        return true;
+        args = validateToolCall(call.name, call.arguments, context);
+        result = await executeTool(call, args, studio);
       }
     } catch (err) {
-      setError("Failed to generate image");
-      console.error(err);
-      return false;
+      console.error(`Tool ${call.name} failed:`, err);
+      setError(err.message);
+      result = toolErrorOutput(err);
     }
-  };
+    // A tool with nothing to report still sends an output
+    result ??= {};
+
+    setFunctionCallOutput({ name: call.name, args, result });
+    sendClientEvent({
+      type: "conversation.item.create",
+      item: {
+        type: "function_call_output",
+        call_id: call.call_id,
+        output: JSON.stringify(result),
+      },
+    });
+    return result;
+  }
 
   useEffect(() => {
-    if (!events || events.length === 0) return;
+    if (!events || events.length === 0) {
+      // A new session or replay, where recorded call ids can come round again
+      handledCallIds.current.clear();
+      return;
+    }
 
-    const firstEvent = events[events.length - 1];
-    if (!functionAdded && firstEvent.type === "session.created") {
-      sendClientEvent(sessionUpdate);
-      setFunctionAdded(true);
+    // Each new realtime session needs the tools. One that replaces a dropped
+    // connection also gets the conversation so far.
+    const sessions = events.filter((event) => event.type === "session.created");
+    if (sessions.length > 0 && sessions[0].event_id !== configuredSessionId) {
+      setConfiguredSessionId(sessions[0].event_id);
+      const resumed = sessions.length > 1;
+      toolContext.current = authFetch("/models")
+        .then((response) => response.json())
+        .catch((err) => {
+          console.error("Failed to load image models:", err);
+          return [];
+        })
+        .then((models) => {
+          sendClientEvent(buildSessionUpdate({ models }));
+          if (resumed) {
+            sendClientEvent(resumeContext(transcript, history));
+          }
+          return { models };
+        });
     }
 
     const mostRecentEvent = events[0];
     if (
-      mostRecentEvent.type === "response.done" &&
-      mostRecentEvent.response.output
+      mostRecentEvent.type !== "response.done" ||
+      !mostRecentEvent.response.output
     ) {
-      mostRecentEvent.response.output.forEach((output) => {
-        if (output.type === "function_call") {
-          // Clear previous function call output when switching functions
-          setFunctionCallOutput(null);
-          
-          if (output.name === "generate_image") {
-            const { prompt, guidance = 3.5 } = JSON.parse(output.arguments);
-            generateImage(prompt, guidance).then(() => {
-              // Only set the function call output after the image is generated
-              setFunctionCallOutput(output);
-            });
-          } else if (output.name === "create_image_mask") {
-            if (!currentImageUrl) {
-              console.error("No image available for segmentation");
-              return;
-            }
-            // Set the function call output with the current image URL
-            setFunctionCallOutput({
-              ...output,
-              arguments: JSON.stringify({
-                currentImageUrl,
-                prompt: JSON.parse(output.arguments).prompt
-              })
-            });
-          } else {
-            // Handle other function calls (like color palette)
-            setFunctionCallOutput(output);
-          }
-
-          // Send follow-up instructions
-          setTimeout(() => {
-            sendClientEvent({
-              type: "response.create",
-              response: {
-                instructions:
-                  output.name === "display_color_palette"
-                    ? "ask for feedback about the color palette - don't repeat the colors, just ask if they like the colors."
-                    : output.name === "generate_image"
-                    ? "ask for feedback about the generated image - don't repeat the prompt, just ask if they like the image."
-                    : output.name === "create_image_mask"
-                    ? "ask if they'd like to edit any of the segments."
-                    : "",
-              },
-            });
-          }, 500);
-        }
-      });
+      return;
     }
-  }, [events, currentImageUrl, generateImage, functionAdded, sendClientEvent]);
 
-  // Reset function
+    const calls = mostRecentEvent.response.output.filter(
+      (output) =>
+        output.type === "function_call" &&
+        !handledCallIds.current.has(output.call_id),
+    );
+    if (calls.length === 0) return;
+
+    calls.forEach((output) => handledCallIds.current.add(output.call_id));
+    // Clear previous function call output when switching functions
+    setFunctionCallOutput(null);
+    setError(null);
+
+    // Only ask for the follow-up once every result is in the conversation,
+    // and ask for one even if sending a result failed so the agent isn't left
+    // waiting
+    Promise.all(calls.map(runTool))
+      .then((results) => {
+        const invalid = results.some((result) => result.invalid_arguments);
+        const failed = results.some((result) => result.error);
+        const last = calls[calls.length - 1];
+        return invalid
+          ? invalidArgumentsInstructions
+          : failed
+            ? errorInstructions
+            : getTool(last.name)?.followUp || "";
+      })
+      .catch((err) => {
+        console.error("Failed to send tool results:", err);
+        setError(err.message);
+        return errorInstructions;
+      })
+      .then((instructions) =>
+        sendClientEvent({
+          type: "response.create",
+          response: { instructions },
+        }),
+      );
+  }, [events, configuredSessionId, sendClientEvent]);
+
+  // Reset function; the images and palettes stay with the project
   useEffect(() => {
     if (!isSessionActive) {
-      setFunctionAdded(false);
+      setConfiguredSessionId(null);
       setFunctionCallOutput(null);
-      setCurrentImageUrl(null);
       setError(null);
     }
   }, [isSessionActive]);
 
-  const FunctionCallOutput = ({ functionCallOutput }) => {
-    if (!functionCallOutput) return null;
-    const args = JSON.parse(functionCallOutput.arguments);
-
-    return (
-      <div className="flex flex-col gap-6">
-        {/* Color Palette Section */}
-        {args.colors && args.theme && (
-          <div className="flex flex-col gap-2">
-            <h3 className="font-bold">Color Palette</h3>
-            <p>Theme: {args.theme}</p>
-            <div className="grid grid-cols-5 gap-2">
-              {args.colors.map((color) => (
-                <div
-                  key={color}
-                  className="w-full h-16 rounded-md flex items-center justify-center border border-gray-200"
-                  style={{ backgroundColor: color }}
-                >
-                  <p className="text-sm font-bold text-black bg-slate-100 rounded-md p-2 border border-black">
-                    {color}
-                  </p>
-                </div>
-              ))}
-            </div>
-          </div>
-        )}
-
-        {/* Generated Image Section */}
-        {currentImageUrl && (
-          <div className="flex flex-col gap-2">
-            <h3 className="font-bold">Generated Image</h3>
-            {error && <p className="text-red-500">{error}</p>}
-            <img
-              src={currentImageUrl}
-              alt="Generated image"
-              className="w-full rounded-lg shadow-lg"
-            />
-          </div>
-        )}
-
-        {/* Image Segmentation Section */}
-        {currentImageUrl && (
-          <div className="flex flex-col gap-2">
-            <h3 className="font-bold">Image Segmentation</h3>
-            <ImageSegmenter 
-              imageUrl={currentImageUrl} 
-              prompt={args.prompt}
-              shouldAnalyze={functionCallOutput.name === "create_image_mask"}
-            />
-          </div>
-        )}
-      </div>
-    );
-  };
-
   return (
     <section className="h-[calc(100vh-150px)] w-full flex flex-col gap-4 mb-4">
-      <div className="h-full bg-gray-50 rounded-md p-4">
-        <h2 className="text-lg font-bold">Tools Panel</h2>
-        {isSessionActive ? (
-          functionCallOutput ? (
-            <FunctionCallOutput functionCallOutput={functionCallOutput} />
+      <div className="h-full bg-gray-50 rounded-md p-4 flex gap-4">
+        <div className="flex-1 min-w-0 overflow-y-auto">
+          <h2 className="text-lg font-bold">Tools Panel</h2>
+          {isSessionActive && (
+            <div className="flex flex-col gap-4 mb-4">
+              {error && <p className="text-red-500">{error}</p>}
+              <JobList jobs={jobs.jobs} cancelJob={jobs.cancelJob} />
+              <ImageHistory history={history} />
+            </div>
+          )}
+          {isSessionActive ? (
+            functionCallOutput || currentImage || palettes.length > 0 ? (
+              <FunctionCallOutput
+                functionCallOutput={functionCallOutput}
+                studio={studio}
+              />
+            ) : (
+              <p>Ask for a color palette or image generation...</p>
+            )
           ) : (
-            <p>Ask for a color palette or image generation...</p>
-          )
-        ) : (
-          <p>Start the session to use these tools...</p>
-        )}
+            <p>Start the session to use these tools...</p>
+          )}
+        </div>
+        <Transcript entries={transcript} title={project?.name} />
       </div>
     </section>
   );
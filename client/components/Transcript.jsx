@@ -0,0 +1,125 @@
+import { useEffect, useRef } from "react";
+import { Download, Tool } from "react-feather";
+import { downloadFile } from "../lib/download";
+import { transcriptToMarkdown } from "../lib/transcript";
+
+function summarize(value) {
+  const text = typeof value === "string" ? value : JSON.stringify(value);
+  return text.length > 160 ? `${text.slice(0, 157)}...` : text;
+}
+
+function ToolCard({ entry }) {
+  const { output } = entry;
+  const failed = output?.error;
+
+  return (
+    <div className="flex flex-col gap-1 p-2 rounded-md border border-gray-200 bg-white text-xs">
+      <div className="flex items-center gap-1 font-bold">
+        <Tool height={12} />
+        {entry.name}
+      </div>
+      <p className="font-mono text-gray-500 break-all">
+        {summarize(entry.arguments)}
+      </p>
+      {output === undefined ? (
+        <p className="text-gray-400">Running...</p>
+      ) : failed ? (
+        <p className="text-red-500">{output.error}</p>
+      ) : (
+        <>
+          {output.image_url && (
+            <img
+              src={output.image_url}
+              alt={`${entry.name} result`}
+              className="w-24 rounded-md"
+            />
+          )}
+          <p className="font-mono text-gray-700 break-all">
+            {summarize(output)}
+          </p>
+        </>
+      )}
+    </div>
+  );
+}
+
+function Turn({ entry }) {
+  const isUser = entry.role === "user";
+  return (
+    <div
+      className={`flex flex-col gap-1 text-sm ${isUser ? "items-end" : "items-start"}`}
+    >
+      <span className="text-xs text-gray-400">
+        {isUser ? "You" : "Assistant"}
+      </span>
+      <p
+        className={`rounded-md p-2 max-w-[90%] whitespace-pre-wrap ${
+          isUser ? "bg-blue-100" : "bg-white border border-gray-200"
+        } ${entry.partial ? "opacity-60" : ""}`}
+      >
+        {entry.failed
+          ? "(transcription failed)"
+          : entry.text || (entry.partial ? "..." : "(no transcript)")}
+      </p>
+    </div>
+  );
+}
+
+// The conversation so far, following new turns as they stream in unless the
+// user has scrolled up to read
+export default function Transcript({ entries, title }) {
+  const list = useRef(null);
+  const following = useRef(true);
+  const last = entries[entries.length - 1];
+
+  useEffect(() => {
+    if (following.current && list.current) {
+      list.current.scrollTop = list.current.scrollHeight;
+    }
+  }, [entries.length, last?.text, last?.output]);
+
+  function handleScroll() {
+    const { scrollTop, scrollHeight, clientHeight } = list.current;
+    following.current = scrollHeight - scrollTop - clientHeight < 32;
+  }
+
+  return (
+    <aside className="w-80 flex-none flex flex-col gap-2 min-h-0">
+      <div className="flex items-center justify-between">
+        <h2 className="text-lg font-bold">Transcript</h2>
+        <button
+          className="p-1 hover:opacity-70 disabled:opacity-30"
+          disabled={entries.length === 0}
+          onClick={() =>
+            downloadFile(
+              transcriptToMarkdown(entries, title),
+              `${(title || "transcript").replace(/[^\w-]+/g, "-")}.md`,
+              "text/markdown",
+            )
+          }
+          aria-label="Export transcript as Markdown"
+          title="Export transcript as Markdown"
+        >
+          <Download height={16} />
+        </button>
+      </div>
+      <div
+        ref={list}
+        onScroll={handleScroll}
+        className="flex-1 flex flex-col gap-3 overflow-y-auto pr-1"
+      >
+        {entries.length === 0 ? (
+          <p className="text-sm text-gray-500">Nothing said yet...</p>
+        ) : (
+          entries.map((entry) =>
+            entry.role === "tool" ? (
+              <ToolCard key={entry.id} entry={entry} />
+            ) : (
+              <Turn key={entry.id} entry={entry} />
+            ),
+          )
+        )}
+      </div>
+    </aside>
+  );
+}
@@ -0,0 +1,219 @@
+import { useEffect, useState } from "react";
+import { RefreshCw } from "react-feather";
+import { authFetch } from "../lib/auth";
+
+const operationLabels = {
+  realtime: "realtime sessions",
+  generate: "generations",
+  edit: "edits",
+  upscale: "upscales",
+  segment: "segmentations",
+};
+
+const periodLabels = { daily: "Today", monthly: "This month" };
+
+const summaryDays = [7, 30, 90];
+
+async function load(url) {
+  const response = await authFetch(url);
+  const data = await response.json();
+  if (data.error) {
+    throw new Error(data.error);
+  }
+  return data;
+}
+
+function formatCost(cost) {
+  return `$${cost.toFixed(cost < 1 ? 3 : 2)}`;
+}
+
+function formatDuration(ms) {
+  const seconds = Math.round(ms / 1000);
+  return seconds < 60
+    ? `${seconds} s`
+    : `${Math.floor(seconds / 60)} min ${seconds % 60} s`;
+}
+
+// Used against a quota, if there is one
+function Meter({ label, used, limit, format = String }) {
+  const share = limit ? Math.min(used / limit, 1) : 0;
+  return (
+    <div className="flex flex-col gap-1">
+      <div className="flex justify-between">
+        <span className="text-gray-600">{label}</span>
+        <span>
+          {format(used)}
+          {limit !== undefined && ` of ${format(limit)}`}
+        </span>
+      </div>
+      {limit !== undefined && (
+        <div className="h-1 rounded-full bg-gray-200">
+          <div
+            className={`h-1 rounded-full ${share >= 1 ? "bg-red-500" : "bg-blue-400"}`}
+            style={{ width: `${share * 100}%` }}
+          />
+        </div>
+      )}
+    </div>
+  );
+}
+
+function OwnUsage({ usage }) {
+  return Object.entries(usage).map(([period, { used, limits }]) => (
+    <div key={period} className="flex flex-col gap-2 text-sm">
+      <h3 className="font-bold">{periodLabels[period] || period}</h3>
+      <Meter
+        label="Estimated cost"
+        used={used.cost}
+        limit={limits.cost}
+        format={formatCost}
+      />
+      {Object.entries(operationLabels).map(([operation, label]) => (
+        <Meter
+          key={operation}
+          label={label}
+          used={used.units[operation] || 0}
+          limit={limits[operation]}
+        />
+      ))}
+    </div>
+  ));
+}
+
+function SummaryTable({ title, rows, name }) {
+  return (
+    <div className="flex flex-col gap-1 text-sm">
+      <h3 className="font-bold">{title}</h3>
+      {rows.length === 0 ? (
+        <p className="text-gray-500">Nothing yet</p>
+      ) : (
+        <table className="w-full">
+          <thead className="text-left text-gray-600">
+            <tr>
+              <th className="font-normal">{name.label}</th>
+              <th className="font-normal text-right">Calls</th>
+              <th className="font-normal text-right">Time</th>
+              <th className="font-normal text-right">Cost</th>
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map((row) => (
+              <tr key={name.key(row)} className="border-t border-gray-100">
+                <td className="truncate max-w-[160px]" title={name.key(row)}>
+                  {name.value(row)}
+                </td>
+                <td className="text-right">{row.calls}</td>
+                <td className="text-right">{formatDuration(row.durationMs)}</td>
+                <td className="text-right">{formatCost(row.cost)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+}
+
+// Everyone's spend, for admins
+function AdminSummary({ refreshes }) {
+  const [days, setDays] = useState(30);
+  const [summary, setSummary] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    setError(null);
+    load(`/admin/usage?days=${days}`)
+      .then(setSummary)
+      .catch((err) => setError(err.message));
+  }, [days, refreshes]);
+
+  return (
+    <div className="flex flex-col gap-3 border-0 border-t border-solid border-gray-200 pt-3">
+      <div className="flex items-center justify-between">
+        <h3 className="font-bold">All users</h3>
+        <select
+          className="border border-gray-200 rounded-md p-1 text-sm"
+          value={days}
+          onChange={(e) => setDays(Number(e.target.value))}
+          aria-label="Period"
+        >
+          {summaryDays.map((value) => (
+            <option key={value} value={value}>
+              Last {value} days
+            </option>
+          ))}
+        </select>
+      </div>
+      {error && <p className="text-sm text-red-500">{error}</p>}
+      {summary && (
+        <>
+          <p className="text-sm text-gray-600">
+            {summary.total.calls} calls, {formatCost(summary.total.cost)}{" "}
+            estimated
+            {summary.rateLimit
+              ? `, limited to ${summary.rateLimit} requests a minute per user`
+              : ""}
+          </p>
+          <SummaryTable
+            title="By provider"
+            rows={summary.byProvider}
+            name={{
+              label: "Provider",
+              key: (row) => row.provider,
+              value: (row) => row.provider,
+            }}
+          />
+          <SummaryTable
+            title="By user"
+            rows={summary.byUser}
+            name={{
+              label: "User",
+              key: (row) => row.userId,
+              value: (row) => row.email || row.userId,
+            }}
+          />
+        </>
+      )}
+    </div>
+  );
+}
+
+// The user's usage against their quotas, and for admins everyone's
+export default function Usage({ user }) {
+  const [usage, setUsage] = useState(null);
+  const [error, setError] = useState(null);
+  const [refreshes, setRefreshes] = useState(0);
+
+  useEffect(() => {
+    setError(null);
+    load("/usage")
+      .then(setUsage)
+      .catch((err) => setError(err.message));
+  }, [refreshes]);
+
+  return (
+    <div className="flex flex-col gap-4 py-2">
+      <div className="flex items-center justify-between">
+        <h2 className="text-lg font-bold">Usage</h2>
+        <button
+          className="p-1 hover:opacity-70"
+          onClick={() => setRefreshes(refreshes + 1)}
+          aria-label="Refresh usage"
+          title="Refresh usage"
+        >
+          <RefreshCw height={16} />
+        </button>
+      </div>
+      <p className="text-sm text-gray-500">
+        Costs are estimates from list prices.
+      </p>
+      {error && <p className="text-sm text-red-500">{error}</p>}
+      {usage ? (
+        <OwnUsage usage={usage} />
+      ) : (
+        !error && <p className="text-sm text-gray-500">Loading usage...</p>
+      )}
+      {user.isAdmin && <AdminSummary refreshes={refreshes} />}
+    </div>
+  );
+}
@@ -0,0 +1,42 @@
+// A batch of generated variations. Clicking one makes it the current image;
+// the rest stay in the version history.
+export default function VariationGrid({ history, batchId }) {
+  const { versions, currentVersion, numberOf } = history;
+  const batch = versions.filter((version) => version.batchId === batchId);
+  if (batch.length === 0) return null;
+
+  const picked = batch.find((version) => version.id === currentVersion?.id);
+
+  return (
+    <div className="flex flex-col gap-2">
+      <h3 className="font-bold">
+        {picked
+          ? `Variation ${batch.indexOf(picked) + 1} picked (v${numberOf(picked)})`
+          : "Pick a variation"}
+      </h3>
+      <div className="grid grid-cols-2 gap-2">
+        {batch.map((version, index) => (
+          <button
+            key={version.id}
+            onClick={() => history.selectVersion(numberOf(version))}
+            className={`relative rounded-lg overflow-hidden border-4 ${
+              picked?.id === version.id
+                ? "border-blue-500"
+                : "border-transparent hover:border-gray-300"
+            }`}
+            aria-label={`Pick variation ${index + 1}`}
+          >
+            <img
+              src={version.url}
+              alt={`Variation ${index + 1}`}
+              className="w-full"
+            />
+            <span className="absolute top-1 left-1 bg-black/60 text-white text-xs font-bold rounded px-2 py-1">
+              {index + 1}
+            </span>
+          </button>
+        ))}
+      </div>
+    </div>
+  );
+}
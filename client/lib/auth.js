@@ -0,0 +1,119 @@
+import { useEffect, useState } from "react";
+
+// The signed-in session, { accessToken, refreshToken, expiresAt, user }, as
+// the server's /auth routes return it. It is kept in localStorage so a reload
+// stays signed in, and every API request carries its access token.
+
+const storageKey = "studio.session";
+// Refresh a little before the access token runs out
+const refreshMarginMs = 60 * 1000;
+
+let session = null;
+let refreshing = null;
+const listeners = new Set();
+
+function setSession(next) {
+  session = next;
+  if (next) {
+    localStorage.setItem(storageKey, JSON.stringify(next));
+  } else {
+    localStorage.removeItem(storageKey);
+  }
+  listeners.forEach((listener) => listener(next));
+}
+
+function loadSession() {
+  try {
+    session = JSON.parse(localStorage.getItem(storageKey));
+  } catch {
+    session = null;
+  }
+  return session;
+}
+
+async function post(url, body) {
+  const response = await fetch(url, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(body),
+  });
+  const data = await response.json();
+  if (data.error) {
+    throw new Error(data.error);
+  }
+  return data;
+}
+
+export async function signIn(email, password) {
+  setSession(await post("/auth/sign-in", { email, password }));
+}
+
+// Resolves to a message instead when the account has to be confirmed first
+export async function signUp(email, password) {
+  const data = await post("/auth/sign-up", { email, password });
+  if (data.accessToken) {
+    setSession(data);
+    return null;
+  }
+  return data.message;
+}
+
+export function signOut() {
+  setSession(null);
+}
+
+function refresh() {
+  // Requests that find the token expired at the same time share one refresh
+  refreshing ??= post("/auth/refresh", { refreshToken: session.refreshToken })
+    .then(setSession, () => signOut())
+    .finally(() => (refreshing = null));
+  return refreshing;
+}
+
+// A current access token, refreshing the session if it is about to expire;
+// null when signed out
+export async function accessToken() {
+  if (session && session.expiresAt - refreshMarginMs < Date.now()) {
+    await refresh();
+  }
+  return session?.accessToken || null;
+}
+
+// fetch() for the studio's API. A 401 means the session is no longer valid:
+// it is refreshed and the request tried once more before signing out.
+export async function authFetch(url, options = {}) {
+  const send = async () =>
+    fetch(url, {
+      ...options,
+      headers: {
+        ...options.headers,
+        Authorization: `Bearer ${await accessToken()}`,
+      },
+    });
+
+  let response = await send();
+  if (response.status === 401 && session) {
+    await refresh();
+    if (session) {
+      response = await send();
+    }
+    if (response.status === 401) {
+      signOut();
+    }
+  }
+  return response;
+}
+
+// The current session, undefined until it has been read from localStorage
+// (which the server render doesn't have), then null when signed out
+export function useSession() {
+  const [current, setCurrent] = useState(undefined);
+
+  useEffect(() => {
+    setCurrent(loadSession());
+    listeners.add(setCurrent);
+    return () => listeners.delete(setCurrent);
+  }, []);
+
+  return current;
+}
@@ -0,0 +1,9 @@
+// Saves `data` (a string or bytes) as a file through a temporary link
+export function downloadFile(data, filename, type) {
+  const url = URL.createObjectURL(new Blob([data], { type }));
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+}
@@ -0,0 +1,89 @@
+import { downloadFile } from "./download";
+
+// When and in which direction each realtime event passed through the data
+// channel. Kept beside the events rather than on them, so what is sent and
+// what ToolPanel reads stay exactly the API payloads.
+const stamps = new WeakMap();
+
+export function stampEvent(event, direction) {
+  stamps.set(event, { direction, time: Date.now() });
+  return event;
+}
+
+// Events from before stamping get their direction from the event id: the
+// server's ids start with "event_"
+export function eventMeta(event) {
+  return (
+    stamps.get(event) || {
+      direction:
+        event.event_id && !event.event_id.startsWith("event_")
+          ? "client"
+          : "server",
+      time: null,
+    }
+  );
+}
+
+// Streams of *.delta events for the same item and part become one entry
+// holding the concatenated text, placed where the stream started. Takes and
+// returns entries oldest first: { event, meta, deltas? }.
+export function mergeDeltas(events) {
+  const entries = [];
+  const streams = {};
+
+  events.forEach((event) => {
+    const meta = eventMeta(event);
+    if (!event.type.endsWith(".delta")) {
+      entries.push({ event, meta });
+      return;
+    }
+
+    const key = [
+      event.type,
+      event.response_id,
+      event.item_id,
+      event.output_index,
+      event.content_index,
+    ].join("|");
+    let stream = streams[key];
+    if (!stream) {
+      stream = { event, meta, deltas: [] };
+      streams[key] = stream;
+      entries.push(stream);
+    }
+    stream.deltas.push(event);
+  });
+
+  return entries.map((entry) => {
+    if (!entry.deltas) return entry;
+    // Audio deltas are base64 chunks, so only count them
+    const text = entry.event.type.startsWith("response.audio.")
+      ? `${entry.deltas.length} audio chunks`
+      : entry.deltas.map((delta) => delta.delta || "").join("");
+    return { ...entry, text };
+  });
+}
+
+// One JSON object per line, oldest first: { time, direction, event }
+export function toJsonl(events) {
+  return [...events]
+    .reverse()
+    .map((event) => {
+      const { direction, time } = eventMeta(event);
+      return JSON.stringify({
+        time: time ? new Date(time).toISOString() : null,
+        direction,
+        event,
+      });
+    })
+    .join("\n");
+}
+
+// Saves the events as a JSONL file, which is also what replays are made from
+export function downloadJsonl(events) {
+  downloadFile(
+    toJsonl(events),
+    `session-${new Date().toISOString().replace(/[:.]/g, "-")}.jsonl`,
+    "application/x-ndjson",
+  );
+}
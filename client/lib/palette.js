@@ -0,0 +1,157 @@
+// Palette exports and WCAG contrast checks. A palette is { theme, colors }
+// with hex colours; names are derived from the theme, e.g. "sunset-1".
+
+export function parseHex(color) {
+  const match = /^#?([0-9a-f]{3}|[0-9a-f]{6})$/i.exec(color.trim());
+  if (!match) return null;
+  const hex =
+    match[1].length === 3
+      ? [...match[1]].map((char) => char + char).join("")
+      : match[1];
+  return [0, 2, 4].map((offset) => parseInt(hex.slice(offset, offset + 2), 16));
+}
+
+function slug(text) {
+  return (
+    (text || "palette")
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, "-")
+      .replace(/^-+|-+$/g, "")
+      .slice(0, 32) || "palette"
+  );
+}
+
+// [{ name, hex }] for the colours that are valid hex codes
+function namedColors({ theme, colors }) {
+  const prefix = slug(theme);
+  return colors
+    .filter((color) => parseHex(color))
+    .map((color, index) => ({
+      name: `${prefix}-${index + 1}`,
+      hex: `#${parseHex(color)
+        .map((value) => value.toString(16).padStart(2, "0"))
+        .join("")}`,
+    }));
+}
+
+export function toCss(palette) {
+  const lines = namedColors(palette).map(
+    ({ name, hex }) => `  --${name}: ${hex};`,
+  );
+  return `:root {\n${lines.join("\n")}\n}\n`;
+}
+
+export function toTailwind(palette) {
+  const colors = Object.fromEntries(
+    namedColors(palette).map(({ name, hex }) => [
+      name.slice(name.lastIndexOf("-") + 1),
+      hex,
+    ]),
+  );
+  const config = {
+    theme: { extend: { colors: { [slug(palette.theme)]: colors } } },
+  };
+  return `module.exports = ${JSON.stringify(config, null, 2)};\n`;
+}
+
+// Design tokens in the W3C community group format
+export function toJsonTokens(palette) {
+  const tokens = Object.fromEntries(
+    namedColors(palette).map(({ name, hex }) => [
+      name,
+      { $type: "color", $value: hex },
+    ]),
+  );
+  return `${JSON.stringify({ [slug(palette.theme)]: tokens }, null, 2)}\n`;
+}
+
+// Adobe Swatch Exchange: a group named after the theme holding one RGB
+// swatch per colour. All numbers are big-endian and names are UTF-16 with a
+// terminating null.
+export function toAse(palette) {
+  const colors = namedColors(palette);
+  const nameBytes = (name) => (name.length + 1) * 2;
+  const groupName = palette.theme || "Palette";
+
+  const blockSizes = [
+    6 + 2 + nameBytes(groupName),
+    ...colors.map(({ name }) => 6 + 2 + nameBytes(name) + 4 + 12 + 2),
+    6,
+  ];
+  const buffer = new ArrayBuffer(
+    12 + blockSizes.reduce((sum, size) => sum + size, 0),
+  );
+  const view = new DataView(buffer);
+  let offset = 0;
+
+  const uint16 = (value) => {
+    view.setUint16(offset, value);
+    offset += 2;
+  };
+  const uint32 = (value) => {
+    view.setUint32(offset, value);
+    offset += 4;
+  };
+  const name = (text) => {
+    uint16(text.length + 1);
+    for (let i = 0; i < text.length; i++) {
+      uint16(text.charCodeAt(i));
+    }
+    uint16(0);
+  };
+
+  [..."ASEF"].forEach((char) => view.setUint8(offset++, char.charCodeAt(0)));
+  uint16(1);
+  uint16(0);
+  uint32(colors.length + 2);
+
+  uint16(0xc001);
+  uint32(2 + nameBytes(groupName));
+  name(groupName);
+
+  colors.forEach((color) => {
+    uint16(0x0001);
+    uint32(2 + nameBytes(color.name) + 4 + 12 + 2);
+    name(color.name);
+    [..."RGB "].forEach((char) => view.setUint8(offset++, char.charCodeAt(0)));
+    parseHex(color.hex).forEach((value) => {
+      view.setFloat32(offset, value / 255);
+      offset += 4;
+    });
+    // Colour type 2 is a normal (process) swatch
+    uint16(2);
+  });
+
+  uint16(0xc002);
+  uint32(0);
+  return new Uint8Array(buffer);
+}
+
+export function fileNameFor(palette, extension) {
+  return `${slug(palette.theme)}.${extension}`;
+}
+
+function luminance([r, g, b]) {
+  const linear = (value) => {
+    const c = value / 255;
+    return c <= 0.03928 ? c / 12.92 : ((c + 0.055) / 1.055) ** 2.4;
+  };
+  return 0.2126 * linear(r) + 0.7152 * linear(g) + 0.0722 * linear(b);
+}
+
+// The WCAG 2 contrast ratio of two hex colours, from 1 to 21
+export function contrastRatio(a, b) {
+  const [lighter, darker] = [
+    luminance(parseHex(a)),
+    luminance(parseHex(b)),
+  ].sort((x, y) => y - x);
+  return (lighter + 0.05) / (darker + 0.05);
+}
+
+// The best WCAG level a ratio reaches for normal and for large text
+export function wcagLevels(ratio) {
+  return {
+    normal: ratio >= 7 ? "AAA" : ratio >= 4.5 ? "AA" : null,
+    large: ratio >= 4.5 ? "AAA" : ratio >= 3 ? "AA" : null,
+  };
+}
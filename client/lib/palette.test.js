@@ -0,0 +1,113 @@
+import { describe, expect, it } from "vitest";
+import {
+  contrastRatio,
+  fileNameFor,
+  parseHex,
+  toAse,
+  toCss,
+  toJsonTokens,
+  toTailwind,
+  wcagLevels,
+} from "./palette";
+
+const palette = { theme: "Sunset Beach!", colors: ["#FF8800", "abc", "nope"] };
+
+describe("parseHex", () => {
+  it("reads short and long hex codes, with or without #", () => {
+    expect(parseHex("#ff8800")).toEqual([255, 136, 0]);
+    expect(parseHex(" abc ")).toEqual([170, 187, 204]);
+  });
+
+  it("returns null for anything else", () => {
+    expect(parseHex("red")).toBeNull();
+    expect(parseHex("#12345")).toBeNull();
+  });
+});
+
+describe("exports", () => {
+  it("names colours after the theme and skips invalid ones", () => {
+    expect(toCss(palette)).toBe(
+      ":root {\n  --sunset-beach-1: #ff8800;\n  --sunset-beach-2: #aabbcc;\n}\n",
+    );
+  });
+
+  it("writes a Tailwind config keyed by the theme", () => {
+    expect(toTailwind(palette)).toBe(
+      `module.exports = ${JSON.stringify(
+        {
+          theme: {
+            extend: {
+              colors: { "sunset-beach": { 1: "#ff8800", 2: "#aabbcc" } },
+            },
+          },
+        },
+        null,
+        2,
+      )};\n`,
+    );
+  });
+
+  it("writes W3C design tokens", () => {
+    expect(JSON.parse(toJsonTokens(palette))).toEqual({
+      "sunset-beach": {
+        "sunset-beach-1": { $type: "color", $value: "#ff8800" },
+        "sunset-beach-2": { $type: "color", $value: "#aabbcc" },
+      },
+    });
+  });
+
+  it("falls back to a generic name without a theme", () => {
+    expect(fileNameFor({ colors: [] }, "css")).toBe("palette.css");
+    expect(fileNameFor(palette, "ase")).toBe("sunset-beach.ase");
+  });
+});
+
+describe("toAse", () => {
+  const bytes = toAse({ theme: "Hi", colors: ["#ff0000"] });
+  const view = new DataView(bytes.buffer);
+  const text = (offset, length) =>
+    String.fromCharCode(...bytes.slice(offset, offset + length));
+
+  it("writes the header and block count", () => {
+    expect(text(0, 4)).toBe("ASEF");
+    expect(view.getUint16(4)).toBe(1);
+    expect(view.getUint16(6)).toBe(0);
+    // Group start, one colour and group end
+    expect(view.getUint32(8)).toBe(3);
+  });
+
+  it("writes a group named after the theme", () => {
+    expect(view.getUint16(12)).toBe(0xc001);
+    expect(view.getUint32(14)).toBe(2 + 6);
+    expect(view.getUint16(18)).toBe(3);
+    expect(view.getUint16(20)).toBe("H".charCodeAt(0));
+  });
+
+  it("writes each colour as RGB floats and ends the group", () => {
+    // Colour block: type, length, name "hi-1", model, three floats, kind
+    const start = 12 + 6 + 8;
+    expect(view.getUint16(start)).toBe(0x0001);
+    const model = start + 6 + 2 + 10;
+    expect(text(model, 4)).toBe("RGB ");
+    expect(view.getFloat32(model + 4)).toBe(1);
+    expect(view.getFloat32(model + 8)).toBe(0);
+    expect(view.getUint16(model + 16)).toBe(2);
+    expect(view.getUint16(model + 18)).toBe(0xc002);
+    expect(bytes.length).toBe(model + 18 + 6);
+  });
+});
+
+describe("contrast", () => {
+  it("ranges from 1 for the same colour to 21 for black on white", () => {
+    expect(contrastRatio("#777777", "#777777")).toBe(1);
+    expect(contrastRatio("#000000", "#ffffff")).toBeCloseTo(21);
+    expect(contrastRatio("#ffffff", "#000000")).toBeCloseTo(21);
+  });
+
+  it("maps ratios onto WCAG levels for normal and large text", () => {
+    expect(wcagLevels(7)).toEqual({ normal: "AAA", large: "AAA" });
+    expect(wcagLevels(4.5)).toEqual({ normal: "AA", large: "AAA" });
+    expect(wcagLevels(3)).toEqual({ normal: null, large: "AA" });
+    expect(wcagLevels(2.9)).toEqual({ normal: null, large: null });
+  });
+});
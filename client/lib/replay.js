@@ -0,0 +1,112 @@
+import { getTool, toolParameters } from "../tools";
+
+// Replays a session recorded by the event log's JSONL export. Only the
+// server's events are played back: the client events are sent again by the
+// UI as it reacts, just as in the live session.
+
+// Entries oldest first: { time (ms or null), direction, event }
+export function parseRecording(text) {
+  return text
+    .split("\n")
+    .filter((line) => line.trim())
+    .map((line, index) => {
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch {
+        throw new Error(`Line ${index + 1} of the recording is not JSON`);
+      }
+      if (!entry.event?.type) {
+        throw new Error(`Line ${index + 1} of the recording has no event`);
+      }
+      return {
+        time: entry.time ? Date.parse(entry.time) : null,
+        direction: entry.direction,
+        event: entry.event,
+      };
+    });
+}
+
+// Feeds the server events to onEvent with their recorded spacing divided by
+// `speed` (Infinity plays them back to back). Returns a function that stops
+// the playback.
+export function playRecording(entries, { speed = 1, onEvent, onDone }) {
+  const events = entries.filter((entry) => entry.direction === "server");
+  let index = 0;
+  let timer = null;
+
+  function next() {
+    if (index >= events.length) {
+      onDone?.();
+      return;
+    }
+    const previous = events[index - 1];
+    const current = events[index];
+    const gap =
+      previous?.time != null && current.time != null
+        ? Math.max(0, current.time - previous.time)
+        : 0;
+    timer = setTimeout(() => {
+      // A fresh copy, so the same recording can be played more than once
+      onEvent(structuredClone(current.event), index + 1, events.length);
+      index++;
+      next();
+    }, gap / speed);
+  }
+
+  next();
+  return () => clearTimeout(timer);
+}
+
+// FNV-1a, so a recorded call always gets the same seed
+export function replaySeed(callId) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < callId.length; i++) {
+    hash = Math.imul(hash ^ callId.charCodeAt(i), 0x01000193);
+  }
+  return (hash >>> 0) % 2 ** 31;
+}
+
+// A model for every capability, to tell which tools take a model whether or
+// not the session's model list has loaded yet
+const anyModels = {
+  models: [{ id: "mock", capabilities: ["generate", "edit", "upscale"] }],
+};
+
+// The call's arguments with every model choice pointed at the offline mock
+// provider. Arguments that don't parse are passed on for validation to report.
+export function replayArguments(call) {
+  const tool = getTool(call.name);
+  if (!tool || !toolParameters(tool, anyModels).properties?.model) {
+    return call.arguments;
+  }
+
+  try {
+    const args =
+      typeof call.arguments === "string"
+        ? JSON.parse(call.arguments)
+        : call.arguments;
+    return { ...args, model: "mock" };
+  } catch {
+    return call.arguments;
+  }
+}
+
+// Jobs for one replayed call: images drawn without a seed get one derived
+// from the call id instead of a random one, and segmentation runs on the
+// server's local segmenter with that seed rather than on Segmind
+export function replayJobs(jobs, callId) {
+  return {
+    ...jobs,
+    startJob(type, params, call) {
+      const seed = params.seed ?? replaySeed(callId);
+      const replayed =
+        type === "segment"
+          ? { ...params, seed, mock: true }
+          : type === "generate" || type === "edit"
+            ? { ...params, seed }
+            : params;
+      return jobs.startJob(type, replayed, call);
+    },
+  };
+}
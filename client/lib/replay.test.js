@@ -0,0 +1,153 @@
+import { afterEach, describe, expect, it, vi } from "vitest";
+import {
+  parseRecording,
+  playRecording,
+  replayArguments,
+  replayJobs,
+  replaySeed,
+} from "./replay";
+
+describe("parseRecording", () => {
+  it("reads entries oldest first with their times", () => {
+    const text = [
+      '{"time":"2026-10-19T10:00:00.000Z","direction":"server","event":{"type":"session.created"}}',
+      "",
+      '{"time":null,"direction":"client","event":{"type":"session.update"}}',
+    ].join("\n");
+    expect(parseRecording(text)).toEqual([
+      {
+        time: Date.parse("2026-10-19T10:00:00.000Z"),
+        direction: "server",
+        event: { type: "session.created" },
+      },
+      { time: null, direction: "client", event: { type: "session.update" } },
+    ]);
+  });
+
+  it("names the line that isn't a recorded event", () => {
+    expect(() => parseRecording('{"direction":"server"}\nnope')).toThrow(
+      "Line 1 of the recording has no event",
+    );
+    expect(() => parseRecording('{"event":{"type":"a"}}\nnope')).toThrow(
+      "Line 2 of the recording is not JSON",
+    );
+  });
+});
+
+describe("playRecording", () => {
+  afterEach(() => vi.useRealTimers());
+
+  const entries = [
+    { time: 1000, direction: "server", event: { type: "a" } },
+    { time: 1500, direction: "client", event: { type: "skipped" } },
+    { time: 3000, direction: "server", event: { type: "b" } },
+  ];
+
+  it("plays the server events with their spacing divided by the speed", () => {
+    vi.useFakeTimers();
+    const onEvent = vi.fn();
+    const onDone = vi.fn();
+    playRecording(entries, { speed: 2, onEvent, onDone });
+
+    vi.advanceTimersByTime(0);
+    expect(onEvent).toHaveBeenCalledWith({ type: "a" }, 1, 2);
+    vi.advanceTimersByTime(999);
+    expect(onEvent).toHaveBeenCalledTimes(1);
+    vi.advanceTimersByTime(1);
+    expect(onEvent).toHaveBeenLastCalledWith({ type: "b" }, 2, 2);
+    expect(onDone).toHaveBeenCalled();
+  });
+
+  it("hands out copies and can be stopped", () => {
+    vi.useFakeTimers();
+    const onEvent = vi.fn();
+    const stop = playRecording(entries, { onEvent });
+
+    vi.advanceTimersByTime(0);
+    expect(onEvent.mock.calls[0][0]).not.toBe(entries[0].event);
+    stop();
+    vi.advanceTimersByTime(10000);
+    expect(onEvent).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe("replaySeed", () => {
+  it("is the same for the same call id and within the seed range", () => {
+    const seed = replaySeed("call_abc");
+    expect(replaySeed("call_abc")).toBe(seed);
+    expect(replaySeed("call_abd")).not.toBe(seed);
+    expect(seed).toBeGreaterThanOrEqual(0);
+    expect(seed).toBeLessThan(2 ** 31);
+  });
+});
+
+describe("replayArguments", () => {
+  it("points every image tool at the mock model", () => {
+    for (const name of [
+      "generate_image",
+      "regenerate_image",
+      "edit_image",
+      "upscale_image",
+    ]) {
+      expect(
+        replayArguments({ name, arguments: '{"model":"flux-dev"}' }),
+      ).toEqual({ model: "mock" });
+    }
+    expect(
+      replayArguments({
+        name: "generate_image",
+        arguments: { prompt: "a cat" },
+      }),
+    ).toEqual({ prompt: "a cat", model: "mock" });
+  });
+
+  it("leaves other calls and unparseable arguments alone", () => {
+    const palette = { name: "extract_palette_from_image", arguments: "{}" };
+    expect(replayArguments(palette)).toBe("{}");
+    const broken = { name: "generate_image", arguments: "{prompt" };
+    expect(replayArguments(broken)).toBe("{prompt");
+  });
+});
+
+describe("replayJobs", () => {
+  const jobs = { startJob: vi.fn(), cancelJob: () => {} };
+  const replayed = replayJobs(jobs, "call_abc");
+  const seed = replaySeed("call_abc");
+
+  it("keeps the rest of the jobs API", () => {
+    expect(replayed.cancelJob).toBe(jobs.cancelJob);
+  });
+
+  it("seeds generations and edits from the call id", () => {
+    replayed.startJob("generate", { prompt: "a cat" }, { name: "x" });
+    expect(jobs.startJob).toHaveBeenLastCalledWith(
+      "generate",
+      { prompt: "a cat", seed },
+      { name: "x" },
+    );
+    replayed.startJob("edit", { prompt: "a hat", seed: 7 });
+    expect(jobs.startJob).toHaveBeenLastCalledWith(
+      "edit",
+      { prompt: "a hat", seed: 7 },
+      undefined,
+    );
+  });
+
+  it("keeps segmentation on the local segmenter", () => {
+    replayed.startJob("segment", { currentImageUrl: "u", prompt: "dog" });
+    expect(jobs.startJob).toHaveBeenLastCalledWith(
+      "segment",
+      { currentImageUrl: "u", prompt: "dog", seed, mock: true },
+      undefined,
+    );
+  });
+
+  it("passes other jobs through", () => {
+    replayed.startJob("upscale", { imageUrl: "u", scale: 2 });
+    expect(jobs.startJob).toHaveBeenLastCalledWith(
+      "upscale",
+      { imageUrl: "u", scale: 2 },
+      undefined,
+    );
+  });
+});
@@ -0,0 +1,53 @@
+import { authFetch } from "./auth";
+
+// Runs a segmentation job on the current image and keeps the masks as a
+// version of it. Shared by create_image_mask and the click-to-segment overlay.
+// `params` is a text prompt, or points and a box as fractions of the image.
+export async function segmentCurrentImage(params, { jobs, history }) {
+  const { currentImage } = history;
+  if (!currentImage) {
+    throw new Error("There is no image to mask yet");
+  }
+
+  const masks = await jobs.startJob("segment", {
+    currentImageUrl: currentImage.url,
+    ...params,
+  });
+  const { prompt, ...region } = params;
+  const version = history.addVersion({
+    url: masks.combined_mask,
+    parentId: currentImage.id,
+    tool: "create_image_mask",
+    prompt,
+    params: region,
+    masks,
+  });
+  return { masks, version };
+}
+
+// Uploads a mask painted in the mask editor and keeps it as a mask version of
+// the current image, so edit_image uses it next
+export async function savePaintedMask(blob, { history }) {
+  const { currentImage } = history;
+  if (!currentImage) {
+    throw new Error("There is no image to mask yet");
+  }
+
+  const response = await authFetch("/masks", {
+    method: "POST",
+    headers: { "Content-Type": "image/png" },
+    body: blob,
+  });
+  const data = await response.json();
+  if (data.error) {
+    throw new Error(data.error);
+  }
+
+  return history.addVersion({
+    url: data.url,
+    parentId: currentImage.id,
+    tool: "create_image_mask",
+    params: { painted: true },
+    masks: { combined_mask: data.url, individual_masks: [data.url] },
+  });
+}
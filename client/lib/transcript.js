@@ -0,0 +1,168 @@
+// Builds the conversation transcript from realtime events. Events arrive
+// newest first (the order App keeps them in); entries come out oldest first,
+// in the order their conversation items appeared, and are keyed by item so
+// they can be merged across sessions. An entry is
+//   { id, role: "user" | "assistant", text, partial?, failed? }
+// or, for a tool call,
+//   { id, role: "tool", callId, name, arguments, output? }
+// where `partial` marks text still streaming in.
+export function transcriptFromEvents(events) {
+  const entries = new Map();
+  const calls = {};
+
+  const entry = (id, fields) => {
+    if (!entries.has(id)) {
+      entries.set(id, { id, ...fields });
+    }
+    return entries.get(id);
+  };
+  const stream = (id, role, delta) => {
+    const current = entry(id, { role, text: "" });
+    current.text += delta || "";
+    current.partial = true;
+  };
+  const finish = (id, role, text) => {
+    const current = entry(id, { role });
+    current.text = text || "";
+    delete current.partial;
+  };
+
+  [...events].reverse().forEach((event) => {
+    const { item } = event;
+
+    switch (event.type) {
+      case "conversation.item.created":
+        if (item?.role === "user") {
+          const content = item.content || [];
+          const text = content
+            .filter((part) => part.type === "input_text")
+            .map((part) => part.text)
+            .join("\n");
+          if (text) {
+            finish(item.id, "user", text);
+          } else if (content.some((part) => part.type === "input_audio")) {
+            // Holds the turn's place until its transcription arrives
+            stream(item.id, "user", "");
+          }
+        }
+        break;
+      case "conversation.item.input_audio_transcription.delta":
+        stream(event.item_id, "user", event.delta);
+        break;
+      case "conversation.item.input_audio_transcription.completed":
+        finish(event.item_id, "user", event.transcript.trim());
+        break;
+      case "conversation.item.input_audio_transcription.failed":
+        finish(event.item_id, "user", "");
+        entries.get(event.item_id).failed = true;
+        break;
+      case "response.audio_transcript.delta":
+      case "response.text.delta":
+        stream(event.item_id, "assistant", event.delta);
+        break;
+      case "response.audio_transcript.done":
+        finish(event.item_id, "assistant", event.transcript);
+        break;
+      case "response.text.done":
+        finish(event.item_id, "assistant", event.text);
+        break;
+      case "response.output_item.done":
+        if (item?.type === "function_call") {
+          calls[item.call_id] = entry(item.id, {
+            role: "tool",
+            callId: item.call_id,
+            name: item.name,
+            arguments: parseJson(item.arguments),
+          });
+        }
+        break;
+    }
+
+    // Results come back in the client's conversation.item.create and the
+    // server's conversation.item.created; either one will do
+    if (item?.type === "function_call_output" && calls[item.call_id]) {
+      calls[item.call_id].output = parseJson(item.output);
+    }
+  });
+
+  return [...entries.values()];
+}
+
+function parseJson(text) {
+  try {
+    return JSON.parse(text);
+  } catch {
+    return text;
+  }
+}
+
+// Entries from the live session replace saved ones with the same id, so a
+// turn saved while streaming ends up with its final text
+export function mergeTranscript(saved, current) {
+  const currentById = new Map(current.map((entry) => [entry.id, entry]));
+  const savedIds = new Set(saved.map((entry) => entry.id));
+  return [
+    ...saved.map((entry) => currentById.get(entry.id) || entry),
+    ...current.filter((entry) => !savedIds.has(entry.id)),
+  ];
+}
+
+function clip(text, length) {
+  return text.length > length ? `${text.slice(0, length - 3)}...` : text;
+}
+
+// A plain-text digest of the last `limit` entries, one line each, for
+// handing the conversation to a new realtime session
+export function transcriptSummary(entries, limit = 30) {
+  const recent = entries.filter((entry) => !entry.partial).slice(-limit);
+  if (recent.length === 0) return "(nothing was said yet)";
+
+  return recent
+    .map((entry) => {
+      if (entry.role === "tool") {
+        const output =
+          entry.output === undefined
+            ? "no result"
+            : JSON.stringify(entry.output);
+        return `Tool ${entry.name}(${clip(JSON.stringify(entry.arguments), 200)}) -> ${clip(output, 200)}`;
+      }
+      const speaker = entry.role === "user" ? "User" : "Assistant";
+      return `${speaker}: ${clip(entry.text || "(no transcript)", 400)}`;
+    })
+    .join("\n");
+}
+
+function quote(text) {
+  return text
+    .split("\n")
+    .map((line) => (line ? `> ${line}` : ">"))
+    .join("\n");
+}
+
+function toolMarkdown(entry) {
+  const lines = [
+    `**Tool:** \`${entry.name}\``,
+    "",
+    "```json",
+    JSON.stringify(entry.arguments, null, 2),
+    "```",
+  ];
+  if (entry.output !== undefined) {
+    lines.push("", "Result:", "", "```json");
+    lines.push(JSON.stringify(entry.output, null, 2), "```");
+    if (entry.output?.image_url) {
+      lines.push("", `![${entry.name} result](${entry.output.image_url})`);
+    }
+  }
+  return quote(lines.join("\n"));
+}
+
+export function transcriptToMarkdown(entries, title = "Transcript") {
+  const blocks = entries.map((entry) => {
+    if (entry.role === "tool") return toolMarkdown(entry);
+    const speaker = entry.role === "user" ? "User" : "Assistant";
+    const text = entry.failed ? "_(transcription failed)_" : entry.text;
+    return `**${speaker}:** ${text || "_(no transcript)_"}`;
+  });
+  return `# ${title}\n\n${blocks.join("\n\n")}\n`;
+}
@@ -0,0 +1,277 @@
+import { accessToken, authFetch } from "./auth";
+
+// Transports carry realtime events between the browser and the model. Each
+// one is created with the handlers it reports to:
+//   onEvent(event)  a server event arrived
+//   onOpen()        events can be sent
+//   onDrop()        the connection was lost (never called after close())
+// and provides:
+//   connect({ settings, microphone })  resolves once negotiated
+//   isOpen()
+//   send(event)
+//   close()
+
+const disconnectGraceMs = 5000;
+
+// Straight from the browser to OpenAI over WebRTC, with an ephemeral key
+// minted by /token. Audio travels as media tracks.
+function createWebRtcTransport({ onEvent, onOpen, onDrop }) {
+  let pc = null;
+  let dc = null;
+  let closed = false;
+  const audioElement = document.createElement("audio");
+  audioElement.autoplay = true;
+
+  const drop = () => {
+    if (!closed) onDrop();
+  };
+
+  async function connect({ settings, microphone }) {
+    // Get an ephemeral key for the chosen settings from the server
+    const tokenResponse = await authFetch("/token", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ settings }),
+    });
+    const data = await tokenResponse.json();
+    if (!data.client_secret) {
+      throw new Error(
+        data.error?.message || data.error || "Failed to get a session token",
+      );
+    }
+    const EPHEMERAL_KEY = data.client_secret.value;
+
+    pc = new RTCPeerConnection();
+    pc.ontrack = (e) => (audioElement.srcObject = e.streams[0]);
+    pc.addTrack(microphone.getTracks()[0]);
+
+    // Set up data channel for sending and receiving events
+    dc = pc.createDataChannel("oai-events");
+    dc.addEventListener("message", (e) => onEvent(JSON.parse(e.data)));
+    dc.addEventListener("open", onOpen);
+
+    // A failed connection or a closed data channel is a dropped session.
+    // "disconnected" often recovers by itself, so it gets a moment first.
+    dc.addEventListener("close", drop);
+    pc.addEventListener("connectionstatechange", () => {
+      if (pc.connectionState === "failed") {
+        drop();
+      } else if (pc.connectionState === "disconnected") {
+        setTimeout(() => {
+          if (pc.connectionState === "disconnected") drop();
+        }, disconnectGraceMs);
+      }
+    });
+
+    // Start the session using the Session Description Protocol (SDP)
+    const offer = await pc.createOffer();
+    await pc.setLocalDescription(offer);
+
+    // The model the key was minted for, as the session reports it
+    const baseUrl = "https://api.openai.com/v1/realtime";
+    const model = data.model;
+    const sdpResponse = await fetch(`${baseUrl}?model=${model}`, {
+      method: "POST",
+      body: offer.sdp,
+      headers: {
+        Authorization: `Bearer ${EPHEMERAL_KEY}`,
+        "Content-Type": "application/sdp",
+      },
+    });
+    if (!sdpResponse.ok) {
+      throw new Error(`SDP negotiation failed (${sdpResponse.status})`);
+    }
+
+    const answer = {
+      type: "answer",
+      sdp: await sdpResponse.text(),
+    };
+    await pc.setRemoteDescription(answer);
+  }
+
+  return {
+    connect,
+    isOpen: () => dc?.readyState === "open",
+    send: (event) => dc.send(JSON.stringify(event)),
+    close() {
+      closed = true;
+      pc?.close();
+      audioElement.srcObject = null;
+    },
+  };
+}
+
+// The Realtime API's WebSocket audio is 24 kHz mono PCM16 in base64
+const sampleRate = 24000;
+
+function encodePcm16(samples) {
+  const bytes = new Uint8Array(samples.length * 2);
+  const view = new DataView(bytes.buffer);
+  samples.forEach((sample, i) => {
+    const clamped = Math.max(-1, Math.min(1, sample));
+    view.setInt16(i * 2, clamped * 0x7fff, true);
+  });
+  let binary = "";
+  bytes.forEach((byte) => (binary += String.fromCharCode(byte)));
+  return btoa(binary);
+}
+
+function decodePcm16(base64) {
+  const binary = atob(base64);
+  const view = new DataView(new ArrayBuffer(binary.length));
+  for (let i = 0; i < binary.length; i++) {
+    view.setUint8(i, binary.charCodeAt(i));
+  }
+  const samples = new Float32Array(binary.length / 2);
+  for (let i = 0; i < samples.length; i++) {
+    samples[i] = view.getInt16(i * 2, true) / 0x8000;
+  }
+  return samples;
+}
+
+// Posts the microphone's samples to the main thread in blocks of ~100 ms
+const captureWorklet = `
+registerProcessor("capture", class extends AudioWorkletProcessor {
+  constructor() {
+    super();
+    this.buffer = [];
+  }
+  process([input]) {
+    if (input[0]) {
+      this.buffer.push(...input[0]);
+      if (this.buffer.length >= ${sampleRate / 10}) {
+        this.port.postMessage(new Float32Array(this.buffer));
+        this.buffer = [];
+      }
+    }
+    return true;
+  }
+});`;
+
+// Through this server's WebSocket relay on /realtime (server/relay.js),
+// which holds the API key and can observe the session. Audio is captured and
+// played back here and travels as events.
+function createRelayTransport({ onEvent, onOpen, onDrop }) {
+  let socket = null;
+  let audio = null;
+  let playhead = 0;
+  let playing = [];
+  let ready = false;
+  let closed = false;
+
+  async function startAudio(microphone) {
+    audio = new AudioContext({ sampleRate });
+    const url = URL.createObjectURL(
+      new Blob([captureWorklet], { type: "text/javascript" }),
+    );
+    await audio.audioWorklet.addModule(url);
+    URL.revokeObjectURL(url);
+
+    const capture = new AudioWorkletNode(audio, "capture");
+    capture.port.onmessage = (e) => {
+      if (socket?.readyState === WebSocket.OPEN) {
+        socket.send(
+          JSON.stringify({
+            type: "input_audio_buffer.append",
+            audio: encodePcm16(e.data),
+          }),
+        );
+      }
+    };
+    audio.createMediaStreamSource(microphone).connect(capture);
+  }
+
+  // Queue a chunk of the model's speech right after the previous one
+  function play(base64) {
+    const samples = decodePcm16(base64);
+    const buffer = audio.createBuffer(1, samples.length, sampleRate);
+    buffer.copyToChannel(samples, 0);
+    const source = audio.createBufferSource();
+    source.buffer = buffer;
+    source.connect(audio.destination);
+    playhead = Math.max(playhead, audio.currentTime);
+    source.start(playhead);
+    playhead += buffer.duration;
+    playing.push(source);
+    source.onended = () => {
+      playing = playing.filter((entry) => entry !== source);
+    };
+  }
+
+  // The user started talking over the model
+  function interrupt() {
+    playing.forEach((source) => source.stop());
+    playing = [];
+    playhead = 0;
+  }
+
+  function connect({ settings, microphone }) {
+    return new Promise((resolve, reject) => {
+      const protocol = location.protocol === "https:" ? "wss" : "ws";
+      socket = new WebSocket(`${protocol}://${location.host}/realtime`);
+
+      // WebSockets can't send headers either, so the access token comes
+      // with the first message
+      socket.onopen = async () =>
+        socket.send(
+          JSON.stringify({
+            type: "relay.connect",
+            settings,
+            accessToken: await accessToken(),
+          }),
+        );
+      socket.onmessage = (e) => {
+        const event = JSON.parse(e.data);
+        if (event.type === "relay.ready") {
+          ready = true;
+          resolve();
+          onOpen();
+          // Without audio the session still works over text
+          startAudio(microphone).catch((err) =>
+            console.error("Relay audio is unavailable:", err),
+          );
+        } else if (event.type === "relay.error") {
+          reject(new Error(event.error));
+        } else if (event.type === "response.audio.delta") {
+          // Audio is only played, as over WebRTC; passed on as events the
+          // chunks would fill the event log and recordings
+          if (audio) play(event.delta);
+        } else {
+          if (event.type === "input_audio_buffer.speech_started") {
+            interrupt();
+          }
+          onEvent(event);
+        }
+      };
+      socket.onclose = () => {
+        if (!ready) {
+          reject(new Error("The realtime relay closed the connection"));
+        } else if (!closed) {
+          onDrop();
+        }
+      };
+    });
+  }
+
+  return {
+    connect,
+    isOpen: () => ready && socket?.readyState === WebSocket.OPEN,
+    send: (event) => socket.send(JSON.stringify(event)),
+    close() {
+      closed = true;
+      socket?.close();
+      audio?.close();
+    },
+  };
+}
+
+export function createTransport(kind, handlers) {
+  switch (kind) {
+    case "relay":
+      return createRelayTransport(handlers);
+    case "webrtc":
+      return createWebRtcTransport(handlers);
+    default:
+      throw new Error(`Unknown transport: ${kind}`);
+  }
+}
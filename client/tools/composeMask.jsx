@@ -0,0 +1,94 @@
+import ImageSegmenter from "../components/ImageSegmenter";
+
+export default {
+  name: "compose_mask",
+  description: `
+Call this function to refine the current mask by combining its segments, e.g.
+"mask the dog but not its collar" (start from the dog's segment, difference
+with the collar's), "both people" (union), "everything except the sky"
+(invert), or to grow, shrink or soften its edges. Segment indexes are the ones from
+create_image_mask, starting at 0 as the studio labels them, and the combined
+mask is the result of the last composition.
+`,
+  handler: "server",
+  parameters: {
+    type: "object",
+    strict: true,
+    properties: {
+      start: {
+        type: "integer",
+        description:
+          "Segment index (starting at 0) to start from. Omit to start from the combined mask.",
+        minimum: 0,
+      },
+      operations: {
+        type: "array",
+        description: "Operations applied in order to the mask",
+        minItems: 1,
+        items: {
+          type: "object",
+          properties: {
+            op: {
+              type: "string",
+              enum: [
+                "union",
+                "intersection",
+                "difference",
+                "invert",
+                "dilate",
+                "erode",
+                "feather",
+              ],
+              description:
+                "union adds a segment, intersection keeps only the overlap with a segment, difference removes a segment, invert swaps masked and unmasked, dilate grows the mask, erode shrinks it, feather softens its edges",
+            },
+            segment: {
+              type: "integer",
+              description:
+                "Segment index for union, intersection and difference. Omit to use the combined mask.",
+              minimum: 0,
+            },
+            pixels: {
+              type: "integer",
+              description: "Size in pixels for dilate, erode and feather",
+              minimum: 1,
+              maximum: 200,
+            },
+          },
+          required: ["op"],
+        },
+      },
+    },
+    required: ["operations"],
+  },
+  followUp:
+    "briefly describe the new mask and ask if they'd like to edit inside it.",
+
+  // The result replaces the combined mask and keeps the segments, so further
+  // compositions and edit_image's mask_index still refer to the same segments
+  onResult(result, args, { history }) {
+    const version = history.addVersion({
+      url: result.mask_url,
+      parentId: history.currentImage?.id,
+      tool: "create_image_mask",
+      params: args,
+      masks: {
+        combined_mask: result.mask_url,
+        individual_masks: history.currentMasks?.individual_masks || [],
+      },
+    });
+    return { ...result, version: version.number };
+  },
+
+  Result({ studio }) {
+    const { currentImage, currentMasks } = studio.history;
+    if (!currentImage || !currentMasks) return null;
+
+    return (
+      <div className="flex flex-col gap-2">
+        <h3 className="font-bold">Composed Mask</h3>
+        <ImageSegmenter imageUrl={currentImage.url} segments={currentMasks} />
+      </div>
+    );
+  },
+};
@@ -0,0 +1,53 @@
+import ImageSegmenter from "../components/ImageSegmenter";
+import { segmentCurrentImage } from "../lib/segments";
+
+export default {
+  name: "create_image_mask",
+  description: `
+Call this function when a user asks to mask a specific object in an image.
+The mask is made for the image currently shown.
+`,
+  parameters: {
+    type: "object",
+    strict: true,
+    properties: {
+      prompt: {
+        type: "string",
+        description:
+          "What to look for in the image (e.g., 'car', 'person', 'dog')",
+      },
+    },
+    required: ["prompt"],
+  },
+  followUp:
+    "say how many segments were found and ask if they'd like to edit any of them. Segments are numbered from 0, as the studio labels them.",
+
+  async run({ prompt }, studio) {
+    const { masks, version } = await segmentCurrentImage(
+      { prompt: prompt || "object" },
+      studio,
+    );
+    return {
+      mask_count: masks.individual_masks.length,
+      combined_mask_url: masks.combined_mask,
+      segment_urls: masks.individual_masks,
+      version: version.number,
+    };
+  },
+
+  Result({ studio }) {
+    const { currentImage, currentMasks } = studio.history;
+    if (!currentImage || !currentMasks) return null;
+
+    return (
+      <div className="flex flex-col gap-2">
+        <h3 className="font-bold">Image Segmentation</h3>
+        <ImageSegmenter
+          imageUrl={currentImage.url}
+          segments={currentMasks}
+          onSegment={(region) => segmentCurrentImage(region, studio)}
+        />
+      </div>
+    );
+  },
+};
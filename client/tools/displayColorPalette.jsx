@@ -0,0 +1,39 @@
+import ColorPalette from "../components/ColorPalette";
+
+export default {
+  name: "display_color_palette",
+  description: `
+Call this function when a user asks for a color palette.
+`,
+  parameters: {
+    type: "object",
+    strict: true,
+    properties: {
+      theme: {
+        type: "string",
+        description: "Description of the theme for the color scheme.",
+      },
+      colors: {
+        type: "array",
+        description: "Array of five hex color codes based on the theme.",
+        items: {
+          type: "string",
+          description: "Hex color code",
+          pattern: "^#([0-9a-fA-F]{3}){1,2}$",
+        },
+      },
+    },
+    required: ["theme", "colors"],
+  },
+  followUp:
+    "ask for feedback about the color palette - don't repeat the colors, just ask if they like the colors.",
+
+  async run({ theme, colors }, { addPalette }) {
+    addPalette({ theme, colors, createdAt: new Date().toISOString() });
+    return { displayed: true, color_count: colors.length };
+  },
+
+  Result({ args }) {
+    return <ColorPalette theme={args.theme} colors={args.colors} />;
+  },
+};
@@ -0,0 +1,74 @@
+import { generationParams, withModelParameter } from "./models";
+
+export default {
+  name: "edit_image",
+  description: `
+Call this function when a user asks to edit or modify an existing image.
+The edit is applied inside the mask created by create_image_mask, so a mask
+must exist before calling it.
+`,
+  parameters: ({ models }) =>
+    withModelParameter(
+      {
+        type: "object",
+        strict: true,
+        properties: {
+          prompt: {
+            type: "string",
+            description: "Description of what should appear in the masked area",
+          },
+          mask_index: {
+            type: "integer",
+            description:
+              "Index of the individual segment to edit (starting at 0). Omit to edit the combined mask.",
+            minimum: 0,
+          },
+        },
+        required: ["prompt"],
+      },
+      models,
+      "edit",
+    ),
+  followUp:
+    "ask for feedback about the edited image - don't repeat the prompt, just ask if they like the change.",
+
+  async run({ prompt, mask_index, model }, { jobs, history }) {
+    const { currentImage, currentMasks } = history;
+    if (!currentImage) {
+      throw new Error("There is no image to edit yet");
+    }
+    if (!currentMasks) {
+      throw new Error("Create a mask with create_image_mask before editing");
+    }
+
+    const mask =
+      mask_index === undefined
+        ? currentMasks.combined_mask
+        : currentMasks.individual_masks[mask_index];
+    if (!mask) {
+      throw new Error(
+        `Segment ${mask_index} does not exist, the mask has ${currentMasks.individual_masks.length} segments`,
+      );
+    }
+
+    const [image] = await jobs.startJob("edit", {
+      imageFile: currentImage.url,
+      mask,
+      prompt,
+      model,
+    });
+    const version = history.addVersion({
+      url: image.url,
+      parentId: currentImage.id,
+      tool: "edit_image",
+      prompt,
+      params: { mask, mask_index, ...generationParams(image) },
+    });
+    return {
+      image_url: image.url,
+      version: version.number,
+      parent_version: history.numberOf(currentImage),
+      model: image.model,
+    };
+  },
+};
@@ -0,0 +1,58 @@
+import ColorPalette from "../components/ColorPalette";
+
+export default {
+  name: "extract_palette_from_image",
+  description: `
+Call this function when a user asks for the colors of the current image, e.g.
+"what colors are in this image" or "make a palette from this picture".
+`,
+  handler: "server",
+  parameters: {
+    type: "object",
+    strict: true,
+    properties: {
+      count: {
+        type: "integer",
+        description: "How many dominant colors to find",
+        default: 5,
+        minimum: 1,
+        maximum: 12,
+      },
+      method: {
+        type: "string",
+        enum: ["kmeans", "median-cut"],
+        description:
+          "Quantization method. kmeans finds the most representative colors, median-cut keeps more of the smaller accents.",
+        default: "kmeans",
+      },
+    },
+    required: [],
+  },
+  followUp:
+    "briefly describe the image's main colors in words and how much of the image each takes up - don't read out the hex codes.",
+
+  onResult(result, args, { history, addPalette }) {
+    const image = history.currentImage;
+    addPalette({
+      theme: `From image v${history.numberOf(image)}`,
+      colors: result.colors.map((color) => color.hex),
+      shares: result.colors.map((color) => color.share),
+      sourceUrl: image?.url || null,
+      createdAt: new Date().toISOString(),
+    });
+    return result;
+  },
+
+  Result({ result, studio }) {
+    const image = studio.history.currentImage;
+    return (
+      <ColorPalette
+        theme={
+          image ? `From image v${studio.history.numberOf(image)}` : "From image"
+        }
+        colors={result.colors.map((color) => color.hex)}
+        shares={result.colors.map((color) => color.share)}
+      />
+    );
+  },
+};
@@ -0,0 +1,105 @@
+import VariationGrid from "../components/VariationGrid";
+import {
+  generationParams,
+  withModelParameter,
+  withOutputParameters,
+} from "./models";
+
+export default {
+  name: "generate_image",
+  description: `
+Call this function when a user asks to generate, create, or make an image.
+`,
+  parameters: ({ models }) =>
+    withModelParameter(
+      withOutputParameters(
+        {
+          type: "object",
+          strict: true,
+          properties: {
+            prompt: {
+              type: "string",
+              description: "Detailed description of the image to generate",
+            },
+            guidance: {
+              type: "number",
+              description:
+                "Guidance scale for image generation (higher values make the image more closely match the prompt)",
+              default: 3.5,
+              minimum: 1,
+              maximum: 20,
+            },
+            seed: {
+              type: "integer",
+              description:
+                "Random seed. Only set this when the user asks for a specific seed; a new one is picked otherwise.",
+              minimum: 0,
+              maximum: 2147483647,
+            },
+            num_outputs: {
+              type: "integer",
+              description:
+                "How many variations to generate, each with its own seed. Use more than 1 when the user wants options to choose from.",
+              default: 1,
+              minimum: 1,
+              maximum: 4,
+            },
+          },
+          required: ["prompt"],
+        },
+        models,
+      ),
+      models,
+      "generate",
+    ),
+  followUp:
+    "ask for feedback about the generated image - don't repeat the prompt, just ask if they like the image. If several variations were generated, ask which one they'd like to keep.",
+
+  async run({ prompt, ...params }, { jobs, history }) {
+    const images = await jobs.startJob("generate", { prompt, ...params });
+
+    if (images.length === 1) {
+      const [image] = images;
+      const version = history.addVersion({
+        url: image.url,
+        tool: "generate_image",
+        prompt,
+        params: generationParams(image),
+      });
+      return {
+        image_url: image.url,
+        version: version.number,
+        model: image.model,
+        seed: image.seed,
+      };
+    }
+
+    // A batch waits in the grid until the user picks one
+    const batchId = crypto.randomUUID();
+    const versions = images.map((image) =>
+      history.addVersion({
+        url: image.url,
+        tool: "generate_image",
+        prompt,
+        params: generationParams(image),
+        batchId,
+        select: false,
+      }),
+    );
+    return {
+      batch_id: batchId,
+      variations: versions.map((version, index) => ({
+        choice: index + 1,
+        version: version.number,
+        image_url: version.url,
+        seed: version.params.seed,
+      })),
+      model: images[0].model,
+    };
+  },
+
+  Result({ result, studio }) {
+    if (!result.batch_id) return null;
+    return <VariationGrid history={studio.history} batchId={result.batch_id} />;
+  },
+};
@@ -0,0 +1,126 @@
+import composeMask from "./composeMask";
+import createImageMask from "./createImageMask";
+import displayColorPalette from "./displayColorPalette";
+import editImage from "./editImage";
+import extractPaletteFromImage from "./extractPaletteFromImage";
+import generateImage from "./generateImage";
+import pickVariation from "./pickVariation";
+import regenerateImage from "./regenerateImage";
+import revertImage from "./revertImage";
+import selectImageVersion from "./selectImageVersion";
+import upscaleImage from "./upscaleImage";
+import {
+  ToolArgumentsError,
+  parseArguments,
+  validateArguments,
+} from "./validate";
+import { authFetch } from "../lib/auth";
+
+export { ToolArgumentsError };
+
+// Every studio tool is a self-contained module declaring:
+//   name, description  - what the realtime model sees
+//   parameters         - JSON schema, or a function of the session context
+//                        ({ models }) returning one
+//   handler            - "client" (default) to call run(args, studio) in the
+//                        browser, or "server" to POST to /tools/:name
+//   onResult           - optional, lets server tools update the studio
+//   Result             - optional component rendering the tool's output
+//   followUp           - instructions for the response after the tool ran
+// Adding a tool means adding its module to this list.
+export const tools = [
+  displayColorPalette,
+  extractPaletteFromImage,
+  generateImage,
+  regenerateImage,
+  pickVariation,
+  editImage,
+  createImageMask,
+  composeMask,
+  upscaleImage,
+  selectImageVersion,
+  revertImage,
+];
+
+export const errorInstructions =
+  "briefly tell the user what went wrong, based on the error in the function output, and how they could fix it.";
+
+export const invalidArgumentsInstructions =
+  "the function call had invalid arguments, listed in invalid_arguments of the function output. Call the function again with corrected arguments; only ask the user if you can't tell how to fix them.";
+
+export function getTool(name) {
+  return tools.find((tool) => tool.name === name) || null;
+}
+
+export function toolParameters(tool, context = {}) {
+  return typeof tool.parameters === "function"
+    ? tool.parameters(context)
+    : tool.parameters;
+}
+
+export function buildSessionUpdate(context) {
+  return {
+    type: "session.update",
+    session: {
+      tools: tools.map((tool) => ({
+        type: "function",
+        name: tool.name,
+        description: tool.description,
+        parameters: toolParameters(tool, context),
+      })),
+      tool_choice: "auto",
+    },
+  };
+}
+
+// Checks a call's arguments (a JSON string from the model, or an object) against
+// the schema the model was given and returns them with defaults applied.
+// Shared with the server, which validates calls that reach it the same way.
+export function validateToolCall(name, args, context = {}) {
+  const tool = getTool(name);
+  if (!tool) {
+    throw new Error(`Unknown tool: ${name}`);
+  }
+
+  const schema = toolParameters(tool, context);
+  return typeof args === "string"
+    ? parseArguments(name, schema, args)
+    : validateArguments(name, schema, args);
+}
+
+// The function_call_output sent back when a call could not be run
+export function toolErrorOutput(error) {
+  return error instanceof ToolArgumentsError
+    ? { error: error.message, invalid_arguments: error.details }
+    : { error: error.message };
+}
+
+// Runs a validated function call from the model and resolves with the result
+// to send back as its function_call_output
+export async function executeTool(call, args, studio) {
+  const tool = getTool(call.name);
+
+  if (tool.handler !== "server") {
+    // Jobs carry the call along so the server can check it too
+    const startJob = (type, params) =>
+      studio.jobs.startJob(type, params, { name: call.name, arguments: args });
+    return tool.run(args, { ...studio, jobs: { ...studio.jobs, startJob } });
+  }
+
+  const response = await authFetch(`/tools/${tool.name}`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({
+      arguments: args,
+      context: {
+        currentImageUrl: studio.history.currentImage?.url || null,
+        currentMasks: studio.history.currentMasks,
+      },
+    }),
+  });
+  const result = await response.json();
+  if (result.error) {
+    throw new Error(result.error);
+  }
+  return tool.onResult ? tool.onResult(result, args, studio) : result;
+}
@@ -0,0 +1,131 @@
+// Adds a `model` choice listing the server's configured image models for a
+// capability, so the voice agent can pick one when the user asks for it
+export function withModelParameter(parameters, models = [], capability) {
+  const available = models.filter((model) =>
+    model.capabilities.includes(capability),
+  );
+  if (available.length === 0) return parameters;
+
+  return {
+    ...parameters,
+    properties: {
+      ...parameters.properties,
+      model: {
+        type: "string",
+        enum: available.map((model) => model.id),
+        description: `Image model to use. Only set this when the user asks for a specific model or style of model. Available: ${available
+          .map((model) => `${model.id} (${model.label})`)
+          .join(", ")}`,
+      },
+    },
+  };
+}
+
+// Size presets offered by the server, see server/providers/formats.js
+const sizePresets = {
+  square: "1024x1024",
+  social_square: "1080x1080 social post",
+  social_portrait: "1080x1350 social portrait post",
+  story: "1080x1920 story",
+  landscape_hd: "1920x1080",
+  banner: "1500x500 banner",
+};
+
+// Output controls for generation. The aspect ratios are the ones at least one
+// available model can draw; the server rejects combinations the chosen model
+// doesn't support.
+export function withOutputParameters(parameters, models = []) {
+  const outputs = models
+    .filter((model) => model.capabilities.includes("generate"))
+    .map((model) => model.output || { aspectRatios: ["1:1"] });
+  const aspectRatios = [
+    ...new Set(outputs.flatMap((output) => output.aspectRatios)),
+  ];
+
+  return {
+    ...parameters,
+    properties: {
+      ...parameters.properties,
+      ...(aspectRatios.length > 0 && {
+        aspect_ratio: {
+          type: "string",
+          enum: aspectRatios,
+          description:
+            "Aspect ratio of the image, width:height. Not every model supports every ratio.",
+        },
+      }),
+      size: {
+        type: "string",
+        enum: Object.keys(sizePresets),
+        description: `Exact size preset, which also sets the aspect ratio: ${Object.entries(
+          sizePresets,
+        )
+          .map(([name, size]) => `${name} (${size})`)
+          .join(", ")}`,
+      },
+      output_format: {
+        type: "string",
+        enum: ["webp", "png", "jpg"],
+        description:
+          "File format. Use png for transparent backgrounds or lossless images.",
+        default: "webp",
+      },
+      quality: {
+        type: "integer",
+        description:
+          "Compression quality from 1 to 100 for webp and jpg. Omit for the default.",
+        minimum: 1,
+        maximum: 100,
+      },
+      ...(outputs.some((output) => output.transparent) && {
+        transparent_background: {
+          type: "boolean",
+          description:
+            "Leave the background transparent, e.g. for logos or stickers. Needs png or webp and a model that supports it.",
+        },
+      }),
+    },
+  };
+}
+
+// The settings a generated image records, enough to produce it again
+export function generationParams({
+  model,
+  seed,
+  guidance,
+  steps,
+  aspect_ratio,
+  size,
+  output_format,
+  quality,
+  transparent_background,
+}) {
+  return {
+    model,
+    seed,
+    guidance,
+    steps,
+    aspect_ratio,
+    size,
+    output_format,
+    quality,
+    transparent_background,
+  };
+}
+
+// The recorded settings that go back into a generation request
+export function generationRequest(params) {
+  return Object.fromEntries(
+    Object.entries({
+      seed: params.seed,
+      guidance: params.guidance,
+      steps: params.steps,
+      aspect_ratio: params.aspect_ratio,
+      size: params.size,
+      output_format: params.output_format,
+      quality: params.quality,
+      transparent_background: params.transparent_background,
+      model: params.model,
+    }).filter(([, value]) => value != null),
+  );
+}
@@ -0,0 +1,37 @@
+export default {
+  name: "pick_variation",
+  description: `
+Call this function when a user picks one of the variations generated together,
+e.g. "take the third one" or "I like number 2".
+`,
+  parameters: {
+    type: "object",
+    strict: true,
+    properties: {
+      choice: {
+        type: "integer",
+        description:
+          "Position of the picked variation in the grid, starting at 1",
+        minimum: 1,
+      },
+    },
+    required: ["choice"],
+  },
+  followUp: "briefly confirm which variation is now the current image.",
+
+  async run({ choice }, { history }) {
+    const batch = history.latestBatch;
+    if (batch.length === 0) {
+      throw new Error("There are no variations to pick from");
+    }
+
+    const version = batch[choice - 1];
+    if (!version) {
+      throw new Error(
+        `Variation ${choice} does not exist, there are ${batch.length} variations`,
+      );
+    }
+    const selected = history.selectVersion(history.numberOf(version));
+    return { choice, version: selected.number, image_url: selected.url };
+  },
+};
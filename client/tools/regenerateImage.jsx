@@ -0,0 +1,99 @@
+import {
+  generationParams,
+  generationRequest,
+  withModelParameter,
+} from "./models";
+
+const generatedBy = ["generate_image", "regenerate_image"];
+
+export default {
+  name: "regenerate_image",
+  description: `
+Call this function when a user asks to generate an image again, reproduce it,
+or try a variation of it, e.g. "do that one again with a different seed" or
+"same image but make the sky purple".
+`,
+  parameters: ({ models }) =>
+    withModelParameter(
+      {
+        type: "object",
+        strict: true,
+        properties: {
+          version: {
+            type: "integer",
+            description:
+              "Version number of the generated image to start from. Omit to use the image currently shown.",
+            minimum: 1,
+          },
+          mode: {
+            type: "string",
+            enum: ["exact", "new_seed", "new_prompt"],
+            description:
+              "exact reruns the same prompt, seed, size, format and other settings. new_seed keeps the prompt and settings but picks a new seed. new_prompt keeps the seed and settings but uses the given prompt.",
+            default: "exact",
+          },
+          prompt: {
+            type: "string",
+            description:
+              "The tweaked prompt, required for new_prompt. Write the full prompt, not just the change.",
+          },
+        },
+        required: [],
+      },
+      models,
+      "generate",
+    ),
+  followUp:
+    "briefly say what was kept and what changed, then ask if they like the new image.",
+
+  async run({ version, mode, prompt, model }, { jobs, history }) {
+    const source =
+      version === undefined
+        ? history.currentImage
+        : history.versions[version - 1];
+    if (!source) {
+      throw new Error(
+        version === undefined
+          ? "There is no image to regenerate yet"
+          : `Version ${version} does not exist, there are ${history.versions.length} versions`,
+      );
+    }
+    if (!generatedBy.includes(source.tool)) {
+      throw new Error(
+        `Version ${history.numberOf(source)} was not generated from a prompt, so it can't be regenerated`,
+      );
+    }
+    if (mode === "new_prompt" && !prompt) {
+      throw new Error("A prompt is required for new_prompt");
+    }
+
+    const settings = source.params;
+    if (mode !== "new_seed" && settings.seed == null) {
+      throw new Error(
+        `${settings.model} doesn't use seeds, so this image can't be reproduced. Try new_seed instead.`,
+      );
+    }
+
+    const [image] = await jobs.startJob("generate", {
+      ...generationRequest(settings),
+      prompt: mode === "new_prompt" ? prompt : source.prompt,
+      seed: mode === "new_seed" ? undefined : settings.seed,
+      model: model || settings.model,
+    });
+    const added = history.addVersion({
+      url: image.url,
+      parentId: source.id,
+      tool: "regenerate_image",
+      prompt: mode === "new_prompt" ? prompt : source.prompt,
+      params: { mode, ...generationParams(image) },
+    });
+    return {
+      image_url: image.url,
+      version: added.number,
+      source_version: history.numberOf(source),
+      mode,
+      seed: image.seed,
+      model: image.model,
+    };
+  },
+};
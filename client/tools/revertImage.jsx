@@ -0,0 +1,22 @@
+export default {
+  name: "revert_image",
+  description: `
+Call this function when a user asks to undo the last change or go back to the
+previous image.
+`,
+  parameters: {
+    type: "object",
+    strict: true,
+    properties: {},
+    required: [],
+  },
+  followUp: "briefly confirm which version of the image is now shown.",
+
+  async run(args, { history }) {
+    const target = history.revert();
+    if (!target) {
+      throw new Error("There is no earlier image to go back to");
+    }
+    return { version: target.number, image_url: target.url };
+  },
+};
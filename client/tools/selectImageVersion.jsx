@@ -0,0 +1,31 @@
+export default {
+  name: "select_image_version",
+  description: `
+Call this function when a user asks to go to a specific version of the image
+from the version history, e.g. "show version 2".
+`,
+  parameters: {
+    type: "object",
+    strict: true,
+    properties: {
+      version: {
+        type: "integer",
+        description:
+          "Version number as shown in the version history, starting at 1",
+        minimum: 1,
+      },
+    },
+    required: ["version"],
+  },
+  followUp: "briefly confirm which version of the image is now shown.",
+
+  async run({ version }, { history }) {
+    const selected = history.selectVersion(version);
+    if (!selected) {
+      throw new Error(
+        `Version ${version} does not exist, there are ${history.versions.length} versions`,
+      );
+    }
+    return { version: selected.number, tool: selected.tool, url: selected.url };
+  },
+};
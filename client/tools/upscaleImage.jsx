@@ -0,0 +1,40 @@
+import { withModelParameter } from "./models";
+
+// Runs on the server (see server/tools.js); the client only records the result
+export default {
+  name: "upscale_image",
+  description: `
+Call this function when a user asks to upscale the current image or make it
+larger or sharper.
+`,
+  handler: "server",
+  parameters: ({ models }) =>
+    withModelParameter(
+      {
+        type: "object",
+        strict: true,
+        properties: {
+          scale: {
+            type: "integer",
+            description: "How many times larger the image should be",
+            enum: [2, 4],
+            default: 2,
+          },
+        },
+        required: [],
+      },
+      models,
+      "upscale",
+    ),
+  followUp: "briefly say the image was upscaled and ask what they'd like next.",
+
+  onResult(result, args, { history }) {
+    const version = history.addVersion({
+      url: result.image_url,
+      parentId: history.currentImage?.id,
+      tool: "upscale_image",
+      params: { scale: args.scale, model: result.model },
+    });
+    return { ...result, version: version.number };
+  },
+};
@@ -0,0 +1,106 @@
+// Minimal JSON schema checker for tool-call arguments. It covers the subset
+// the studio tool schemas use (type, properties, required, default, enum,
+// minimum/maximum, pattern, items, minItems/maxItems) and reports problems in
+// words the realtime model can act on.
+
+export class ToolArgumentsError extends Error {
+  constructor(toolName, details) {
+    super(`Invalid arguments for ${toolName}: ${details.join("; ")}`);
+    this.name = "ToolArgumentsError";
+    this.toolName = toolName;
+    this.details = details;
+  }
+}
+
+function typeOf(value) {
+  if (Array.isArray(value)) return "array";
+  if (value === null) return "null";
+  if (typeof value === "number" && Number.isInteger(value)) return "integer";
+  return typeof value;
+}
+
+function matchesType(type, value) {
+  const actual = typeOf(value);
+  if (type === "number") return actual === "number" || actual === "integer";
+  return actual === type;
+}
+
+function check(schema, value, path, errors) {
+  const name = path || "arguments";
+
+  if (schema.type && !matchesType(schema.type, value)) {
+    errors.push(`${name} must be of type ${schema.type}, got ${typeOf(value)}`);
+    return value;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${name} must be one of ${schema.enum.join(", ")}`);
+  }
+  if (schema.minimum !== undefined && value < schema.minimum) {
+    errors.push(`${name} must be at least ${schema.minimum}, got ${value}`);
+  }
+  if (schema.maximum !== undefined && value > schema.maximum) {
+    errors.push(`${name} must be at most ${schema.maximum}, got ${value}`);
+  }
+  if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+    errors.push(`${name} must match ${schema.pattern}, got "${value}"`);
+  }
+
+  if (schema.type === "array") {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push(`${name} must have at least ${schema.minItems} items`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push(`${name} must have at most ${schema.maxItems} items`);
+    }
+    if (schema.items) {
+      return value.map((item, index) =>
+        check(schema.items, item, `${name}[${index}]`, errors),
+      );
+    }
+  }
+
+  if (schema.type === "object") {
+    const result = { ...value };
+    Object.entries(schema.properties || {}).forEach(([key, property]) => {
+      const propertyPath = path ? `${path}.${key}` : key;
+      if (result[key] === undefined || result[key] === null) {
+        if (property.default !== undefined) {
+          result[key] = property.default;
+        } else if ((schema.required || []).includes(key)) {
+          errors.push(`${propertyPath} is required`);
+        } else {
+          delete result[key];
+        }
+        return;
+      }
+      result[key] = check(property, result[key], propertyPath, errors);
+    });
+    return result;
+  }
+
+  return value;
+}
+
+// Returns the arguments with defaults applied, or throws ToolArgumentsError
+export function validateArguments(toolName, schema, args) {
+  const errors = [];
+  const value = check(schema, args, "", errors);
+  if (errors.length > 0) {
+    throw new ToolArgumentsError(toolName, errors);
+  }
+  return value;
+}
+
+// Parses a function call's JSON arguments string and validates it
+export function parseArguments(toolName, schema, json) {
+  let args;
+  try {
+    args = JSON.parse(json || "{}");
+  } catch (error) {
+    throw new ToolArgumentsError(toolName, [
+      `arguments are not valid JSON (${error.message})`,
+    ]);
+  }
+  return validateArguments(toolName, schema, args);
+}
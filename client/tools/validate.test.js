@@ -0,0 +1,103 @@
+import { describe, expect, it } from "vitest";
+import {
+  ToolArgumentsError,
+  parseArguments,
+  validateArguments,
+} from "./validate";
+
+const schema = {
+  type: "object",
+  properties: {
+    prompt: { type: "string" },
+    guidance: { type: "number", default: 3.5, minimum: 1, maximum: 20 },
+    num_outputs: { type: "integer", minimum: 1, maximum: 4 },
+    format: { type: "string", enum: ["webp", "png"] },
+    hex: { type: "string", pattern: "^#[0-9a-f]{6}$" },
+    colors: {
+      type: "array",
+      items: { type: "string" },
+      minItems: 1,
+      maxItems: 2,
+    },
+  },
+  required: ["prompt"],
+};
+
+function errorsFor(args) {
+  try {
+    validateArguments("test_tool", schema, args);
+  } catch (error) {
+    expect(error).toBeInstanceOf(ToolArgumentsError);
+    return error.details;
+  }
+  return [];
+}
+
+describe("validateArguments", () => {
+  it("applies defaults and drops empty optional values", () => {
+    expect(
+      validateArguments("test_tool", schema, { prompt: "a cat", hex: null }),
+    ).toEqual({ prompt: "a cat", guidance: 3.5 });
+  });
+
+  it("reports missing required properties", () => {
+    expect(errorsFor({})).toEqual(["prompt is required"]);
+  });
+
+  it("checks types, with integers counting as numbers", () => {
+    expect(errorsFor({ prompt: 1 })).toEqual([
+      "prompt must be of type string, got integer",
+    ]);
+    expect(errorsFor({ prompt: "a", guidance: 4 })).toEqual([]);
+    expect(errorsFor({ prompt: "a", num_outputs: 1.5 })).toEqual([
+      "num_outputs must be of type integer, got number",
+    ]);
+  });
+
+  it("checks bounds, enums and patterns", () => {
+    expect(
+      errorsFor({ prompt: "a", guidance: 999, format: "gif", hex: "red" }),
+    ).toEqual([
+      "guidance must be at most 20, got 999",
+      "format must be one of webp, png",
+      'hex must match ^#[0-9a-f]{6}$, got "red"',
+    ]);
+  });
+
+  it("checks arrays and their items by index", () => {
+    expect(errorsFor({ prompt: "a", colors: [] })).toEqual([
+      "colors must have at least 1 items",
+    ]);
+    expect(errorsFor({ prompt: "a", colors: ["a", 2, "c"] })).toEqual([
+      "colors must have at most 2 items",
+      "colors[1] must be of type string, got integer",
+    ]);
+  });
+
+  it("names the tool in the error message", () => {
+    expect(() => validateArguments("test_tool", schema, {})).toThrow(
+      "Invalid arguments for test_tool: prompt is required",
+    );
+  });
+});
+
+describe("parseArguments", () => {
+  it("parses and validates a JSON string", () => {
+    expect(parseArguments("test_tool", schema, '{"prompt":"a"}')).toEqual({
+      prompt: "a",
+      guidance: 3.5,
+    });
+  });
+
+  it("treats empty arguments as an empty object", () => {
+    expect(() => parseArguments("test_tool", schema, "")).toThrow(
+      "prompt is required",
+    );
+  });
+
+  it("reports arguments that are not JSON", () => {
+    expect(() => parseArguments("test_tool", schema, "{prompt")).toThrow(
+      ToolArgumentsError,
+    );
+  });
+});
@@ -1,27 +1,67 @@
 import express from "express";
 import fs from "fs";
-import { writeFile, unlink } from "node:fs/promises";
+import { unlink } from "node:fs/promises";
 import path from "path";
 import { createServer as createViteServer } from "vite";
 import "dotenv/config";
-import Replicate from "replicate";
-import { createClient } from '@supabase/supabase-js';
-import axios from 'axios';
-
-const supabase = createClient(
-  process.env.SUPABASE_URL,
-  process.env.SUPABASE_ANON_KEY
-);
+import { listModels } from "./server/providers/index.js";
+import { uploadsDir } from "./server/storage/index.js";
+import {
+  checkEdit,
+  checkGenerate,
+  checkUpscale,
+  editImages,
+  generateImages,
+  upscaleImages,
+} from "./server/images.js";
+import { checkSegment, segmentImage } from "./server/segments.js";
+import { composeMasks, storePaintedMask } from "./server/masks.js";
+import { extractPalette } from "./server/palette.js";
+import {
+  realtimeOptions,
+  resolveSessionSettings,
+  sessionDefaults,
+  sessionRequest,
+} from "./server/realtime.js";
+import { attachRealtimeRelay } from "./server/relay.js";
+import {
+  getEmails,
+  getUser,
+  refreshSession,
+  requireAdmin,
+  requireUser,
+  signIn,
+  signUp,
+} from "./server/auth/index.js";
+import {
+  checkQuota,
+  checkRate,
+  limitRate,
+  reserveQuota,
+  usageFor,
+  usageSummary,
+} from "./server/usage/index.js";
+import { serverToolHandlers } from "./server/tools.js";
+import {
+  cancelJob,
+  createJob,
+  getJob,
+  listJobs,
+  subscribe,
+} from "./server/jobs.js";
+import {
+  createProject,
+  deleteProject,
+  getProject,
+  listProjects,
+  updateProject,
+} from "./server/projects/index.js";
 
 const app = express();
 const port = process.env.PORT || 3000;
 const apiKey = process.env.OPENAI_API_KEY;
-const replicate = new Replicate({
-  auth: process.env.REPLICATE_API_TOKEN,
-});
 
 // Create uploads directory if it doesn't exist
-const uploadsDir = path.join(process.cwd(), "uploads");
 if (!fs.existsSync(uploadsDir)) {
   fs.mkdirSync(uploadsDir);
 }
@@ -29,7 +69,7 @@ if (!fs.existsSync(uploadsDir)) {
 // Serve static files from uploads directory
 app.use("/uploads", express.static(uploadsDir));
 
-app.use(express.json());
+app.use(express.json({ limit: "5mb" }));
 
 // Configure Vite middleware for React client
 const vite = await createViteServer({
@@ -48,7 +88,8 @@ async function cleanupOldFiles() {
       const filepath = path.join(uploadsDir, file);
       const stats = await fs.promises.stat(filepath);
 
-      if (stats.ctimeMs < oneHourAgo) {
+      // Bucket directories belong to the local storage backend and are kept
+      if (stats.isFile() && stats.ctimeMs < oneHourAgo) {
         await unlink(filepath);
       }
     }
@@ -57,8 +98,25 @@ async function cleanupOldFiles() {
   }
 }
 
-// API route for token generation
-app.get("/token", async (req, res) => {
+// Mints an ephemeral key for a realtime session. GET uses the server's
+// defaults; POST takes { settings } overriding any of them. Each key counts
+// as a realtime session in the user's usage.
+async function mintToken(req, res) {
+  let settings;
+  try {
+    settings = resolveSessionSettings(req.body?.settings);
+  } catch (error) {
+    return sendProviderError(res, error, "Invalid session settings");
+  }
+  let reservation;
+  try {
+    reservation = await reserveQuota(req.user.id, "realtime", {
+      model: settings.model,
+    });
+  } catch (error) {
+    return sendProviderError(res, error, "Failed to check usage");
+  }
+
   try {
     const response = await fetch(
       "https://api.openai.com/v1/realtime/sessions",
@@ -68,173 +126,374 @@ app.get("/token", async (req, res) => {
           Authorization: `Bearer ${apiKey}`,
           "Content-Type": "application/json",
         },
-        body: JSON.stringify({
-          model: "gpt-4o-realtime-preview-2024-12-17",
-          voice: "verse",
-        }),
+        body: JSON.stringify(sessionRequest(settings)),
       },
     );
 
     const data = await response.json();
+    if (response.ok) {
+      await reservation.record({
+        provider: "openai",
+        model: settings.model,
+        operation: "realtime",
+      });
+    }
     res.json(data);
   } catch (error) {
     console.error("Token generation error:", error);
     res.status(500).json({ error: "Failed to generate token" });
+  } finally {
+    reservation.release();
   }
-});
+}
 
-app.post("/generate-image", async (req, res) => {
-  try {
-    const output = await replicate.run("black-forest-labs/flux-dev", {
-      input: {
-        prompt: req.body.prompt,
-        guidance: req.body.guidance || 3.5,
-        output_format: "webp",
-        go_fast: true,
-      },
-    });
+app.get("/token", requireUser, limitRate, mintToken);
+app.post("/token", requireUser, limitRate, mintToken);
 
-    console.log('Replicate output:', output);
+app.get("/session-settings", requireUser, (req, res) => {
+  res.json({ defaults: sessionDefaults(), options: realtimeOptions });
+});
 
-    // Get the image URL from the output array
-    const imageUrl = output[0];
+function sendProviderError(res, error, message) {
+  // Quotas and rate limits say when to try again
+  if (error.retryAfter) {
+    res.set("Retry-After", String(error.retryAfter));
+  }
+  res.status(error.status || 500).json({
+    error: error.status ? error.message : message,
+  });
+}
 
-    // Fetch the image from the Replicate URL
-    const response = await fetch(imageUrl);
-    const imageBuffer = await response.arrayBuffer();
+// Accounts. Every other API route needs the access token from one of these
+// sessions, refreshed before it expires.
+app.post("/auth/sign-up", async (req, res) => {
+  try {
+    const session = await signUp(req.body);
+    if (!session) {
+      return res.status(202).json({
+        message: "Check your email to confirm the account, then sign in",
+      });
+    }
+    res.status(201).json(session);
+  } catch (error) {
+    console.error("Sign up error:", error);
+    sendProviderError(res, error, "Failed to create the account");
+  }
+});
 
-    // Generate unique filename
-    const timestamp = Date.now();
-    const filename = `generated_${timestamp}.webp`;
+app.post("/auth/sign-in", async (req, res) => {
+  try {
+    res.json(await signIn(req.body));
+  } catch (error) {
+    console.error("Sign in error:", error);
+    sendProviderError(res, error, "Failed to sign in");
+  }
+});
 
-    // Upload to Supabase Storage
-    const { data, error } = await supabase.storage
-      .from('images')
-      .upload(filename, Buffer.from(imageBuffer), {
-        contentType: 'image/webp',
-        cacheControl: '3600'
-      });
+app.post("/auth/refresh", async (req, res) => {
+  try {
+    res.json(await refreshSession(req.body?.refreshToken));
+  } catch (error) {
+    console.error("Session refresh error:", error);
+    sendProviderError(res, error, "Failed to refresh the session");
+  }
+});
 
-    if (error) throw error;
+app.get("/auth/user", requireUser, (req, res) => {
+  res.json(req.user);
+});
 
-    // Get the public URL
-    const { data: { publicUrl } } = supabase.storage
-      .from('images')
-      .getPublicUrl(filename);
+app.get("/models", requireUser, (req, res) => {
+  res.json(listModels());
+});
 
-    res.json([{ url: publicUrl }]);
+app.post("/generate-image", requireUser, limitRate, async (req, res) => {
+  try {
+    res.json(await generateImages(req.body, { owner: req.user.id }));
   } catch (error) {
     console.error("Image generation error:", error);
-    res.status(500).json({ error: "Failed to generate image" });
+    sendProviderError(res, error, "Failed to generate image");
+  }
+});
+
+app.post("/edit-image", requireUser, limitRate, async (req, res) => {
+  try {
+    res.json(await editImages(req.body, { owner: req.user.id }));
+  } catch (error) {
+    console.error("Image edit error:", error);
+    sendProviderError(res, error, "Failed to edit image");
   }
 });
 
-async function imageUrlToBase64(imageUrl) {
+app.post("/upscale-image", requireUser, limitRate, async (req, res) => {
   try {
-    const response = await axios.get(imageUrl, {
-      responseType: 'arraybuffer',
-      maxContentLength: 50 * 1024 * 1024, // 50MB max
-      timeout: 30000 // 30 seconds timeout
+    res.json(await upscaleImages(req.body, { owner: req.user.id }));
+  } catch (error) {
+    console.error("Image upscale error:", error);
+    sendProviderError(res, error, "Failed to upscale image");
+  }
+});
+
+app.post("/get-segments", requireUser, limitRate, async (req, res) => {
+  try {
+    res.json(await segmentImage(req.body, { owner: req.user.id }));
+  } catch (error) {
+    console.error("Segment analysis error:", error.response?.data || error.message);
+    console.error("Full error:", error);
+    if (error.status) {
+      return sendProviderError(res, error);
+    }
+    res.status(500).json({ 
+      error: "Failed to analyze image segments",
+      details: error.response?.data || error.message
     });
-    return Buffer.from(response.data).toString('base64');
+  }
+});
+
+// Masks painted in the mask editor arrive as the raw PNG
+app.post(
+  "/masks",
+  requireUser,
+  express.raw({ type: "image/png", limit: "20mb" }),
+  async (req, res) => {
+    try {
+      res.status(201).json({
+        url: await storePaintedMask(req.body, { owner: req.user.id }),
+      });
+    } catch (error) {
+      console.error("Mask upload error:", error);
+      sendProviderError(res, error, "Failed to store mask");
+    }
+  },
+);
+
+// Combine, invert, grow, shrink or feather masks without any external API
+app.post("/masks/compose", requireUser, limitRate, async (req, res) => {
+  try {
+    res
+      .status(201)
+      .json({ url: await composeMasks(req.body, { owner: req.user.id }) });
   } catch (error) {
-    console.error('Error fetching image:', error.message);
-    throw new Error(`Failed to fetch image: ${error.message}`);
+    console.error("Mask compose error:", error);
+    sendProviderError(res, error, "Failed to compose masks");
   }
-}
+});
 
-app.post("/get-segments", async (req, res) => {
+app.post("/palette", requireUser, limitRate, async (req, res) => {
   try {
-    if (!req.body.currentImageUrl) {
-      throw new Error('No image URL provided');
+    res.json(await extractPalette(req.body));
+  } catch (error) {
+    console.error("Palette extraction error:", error);
+    sendProviderError(res, error, "Failed to extract palette");
+  }
+});
+
+// Long-running work as background jobs, keyed by job type
+const jobTasks = {
+  generate: generateImages,
+  edit: editImages,
+  upscale: upscaleImages,
+  segment: segmentImage,
+};
+
+// The same checks the tasks start with, run before a job is created
+const jobChecks = {
+  generate: checkGenerate,
+  edit: checkEdit,
+  upscale: checkUpscale,
+  segment: checkSegment,
+};
+
+// Checks a tool call's arguments against the schema the realtime model was
+// given, using the client's tool registry, and applies its defaults
+async function validateToolCall(name, args) {
+  const tools = await vite.ssrLoadModule("./client/tools/index.js");
+  return tools.validateToolCall(name, args, { models: listModels() });
+}
+
+function sendToolError(res, error) {
+  if (error.name === "ToolArgumentsError") {
+    return res
+      .status(400)
+      .json({ error: error.message, invalid_arguments: error.details });
+  }
+  res.status(400).json({ error: error.message });
+}
+
+// Jobs started by a tool carry its function call, which is checked first.
+// The parameters the job runs with are checked either way.
+app.post("/jobs", requireUser, limitRate, async (req, res) => {
+  const { type, params = {}, call } = req.body;
+  if (!jobTasks[type]) {
+    return res.status(400).json({ error: `Unknown job type: ${type}` });
+  }
+  if (call) {
+    try {
+      await validateToolCall(call.name, call.arguments || {});
+    } catch (error) {
+      return sendToolError(res, error);
     }
+  }
+  let batch;
+  try {
+    batch = jobChecks[type](params);
+  } catch (error) {
+    return sendProviderError(res, error, "Invalid job parameters");
+  }
+  // Refuse at once rather than in a job that is bound to fail
+  try {
+    await checkQuota(req.user.id, type, batch);
+  } catch (error) {
+    return sendProviderError(res, error, "Failed to check usage");
+  }
+  res.status(202).json(createJob(type, params, jobTasks[type], req.user.id));
+});
 
-    console.log('Fetching image from:', req.body.currentImageUrl);
-    const imageBase64 = await imageUrlToBase64(req.body.currentImageUrl);
-    const segmentPrompt = req.body.prompt || "object";
-    
-    console.log('Making request to Segmind API...');
-    const response = await axios.post(
-      "https://api.segmind.com/v1/automatic-mask-generator",
-      {
-        prompt: segmentPrompt,
-        image: imageBase64,
-        threshold: 0.2,
-        invert_mask: false,
-        return_mask: true,
-        grow_mask: 10,
-        seed: Math.floor(Math.random() * 1000000),
-        base64: false
-      },
-      {
-        headers: {
-          'x-api-key': process.env.SEGMIND_API_KEY,
-          'Content-Type': 'application/json'
-        },
-        timeout: 30000 // 30 seconds timeout
-      }
-    );
+// Server-Sent Events stream of every update to the user's jobs, starting with
+// a snapshot
+app.get("/jobs/events", requireUser, (req, res) => {
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+  });
+  res.flushHeaders();
+
+  const send = (job) => res.write(`event: job\ndata: ${JSON.stringify(job)}\n\n`);
+  listJobs(req.user.id).forEach(send);
+  const unsubscribe = subscribe(req.user.id, send);
+
+  // Comment lines keep proxies from closing an idle stream
+  const keepAlive = setInterval(() => res.write(": keep-alive\n\n"), 15000);
+  req.on("close", () => {
+    clearInterval(keepAlive);
+    unsubscribe();
+  });
+});
+
+app.get("/jobs/:id", requireUser, (req, res) => {
+  const job = getJob(req.params.id, req.user.id);
+  if (!job) {
+    return res.status(404).json({ error: "Job not found" });
+  }
+  res.json(job);
+});
 
-    if (!response.data || !response.data.combined_mask) {
-      throw new Error('Invalid response from Segmind API');
+app.post("/jobs/:id/cancel", requireUser, (req, res) => {
+  const job = cancelJob(req.params.id, req.user.id);
+  if (!job) {
+    return res.status(404).json({ error: "Job not found" });
+  }
+  res.json(job);
+});
+
+// Run a studio tool declared with handler: "server" in the client registry
+app.post("/tools/:name", requireUser, limitRate, async (req, res) => {
+  try {
+    const { getTool } = await vite.ssrLoadModule("./client/tools/index.js");
+    const tool = getTool(req.params.name);
+    const handler = serverToolHandlers[req.params.name];
+
+    if (!tool || tool.handler !== "server" || !handler) {
+      return res
+        .status(404)
+        .json({ error: `No server tool named ${req.params.name}` });
     }
 
-    // Store combined mask
-    const timestamp = Date.now();
-    console.log('Fetching combined mask from:', response.data.combined_mask);
-    const combinedMaskBuffer = await (await fetch(response.data.combined_mask)).arrayBuffer();
-    const combinedMaskFilename = `mask_combined_${timestamp}.png`;
-    
-    const { error: combinedError } = await supabase.storage
-      .from('masks')
-      .upload(combinedMaskFilename, Buffer.from(combinedMaskBuffer), {
-        contentType: 'image/png',
-        cacheControl: '3600'
-      });
+    const { arguments: rawArgs = {}, context = {} } = req.body;
+    let args;
+    try {
+      args = await validateToolCall(tool.name, rawArgs);
+    } catch (error) {
+      return sendToolError(res, error);
+    }
+    res.json(await handler(args, context, req.user));
+  } catch (error) {
+    console.error(`Tool ${req.params.name} error:`, error);
+    sendProviderError(res, error, `Failed to run ${req.params.name}`);
+  }
+});
 
-    if (combinedError) throw combinedError;
-
-    // Get combined mask public URL
-    const { data: { publicUrl: combinedMaskUrl } } = supabase.storage
-      .from('masks')
-      .getPublicUrl(combinedMaskFilename);
-
-    // Store individual masks and get their URLs
-    const individualMaskUrls = await Promise.all(
-      (response.data.masks || []).map(async (maskUrl, index) => {
-        console.log(`Fetching individual mask ${index} from:`, maskUrl);
-        const maskBuffer = await (await fetch(maskUrl)).arrayBuffer();
-        const maskFilename = `mask_individual_${timestamp}_${index}.png`;
-        
-        const { error: maskError } = await supabase.storage
-          .from('masks')
-          .upload(maskFilename, Buffer.from(maskBuffer), {
-            contentType: 'image/png',
-            cacheControl: '3600'
-          });
-
-        if (maskError) throw maskError;
-
-        const { data: { publicUrl } } = supabase.storage
-          .from('masks')
-          .getPublicUrl(maskFilename);
-
-        return publicUrl;
-      })
-    );
+// The user's usage this day and month, against their quotas
+app.get("/usage", requireUser, async (req, res) => {
+  try {
+    res.json(await usageFor(req.user.id));
+  } catch (error) {
+    console.error("Usage error:", error);
+    res.status(500).json({ error: "Failed to load usage" });
+  }
+});
 
-    // Return the Supabase URLs instead of the original URLs
-    res.json({
-      combined_mask: combinedMaskUrl,
-      individual_masks: individualMaskUrls
-    });
+// Everyone's usage over the last `days` (default 30), by provider and user
+app.get("/admin/usage", requireUser, requireAdmin, async (req, res) => {
+  const days = Number(req.query.days || 30);
+  if (!Number.isInteger(days) || days < 1 || days > 366) {
+    return res.status(400).json({ error: "days must be from 1 to 366" });
+  }
+
+  try {
+    const summary = await usageSummary({ days });
+    const emails = await getEmails(summary.byUser.map((row) => row.userId));
+    summary.byUser.forEach((row) => (row.email = emails[row.userId] || null));
+    res.json(summary);
   } catch (error) {
-    console.error("Segment analysis error:", error.response?.data || error.message);
-    console.error("Full error:", error);
-    res.status(500).json({ 
-      error: "Failed to analyze image segments",
-      details: error.response?.data || error.message
-    });
+    console.error("Usage summary error:", error);
+    res.status(500).json({ error: "Failed to summarize usage" });
+  }
+});
+
+app.get("/projects", requireUser, async (req, res) => {
+  try {
+    res.json(await listProjects(req.user.id));
+  } catch (error) {
+    console.error("Project list error:", error);
+    res.status(500).json({ error: "Failed to list projects" });
+  }
+});
+
+app.post("/projects", requireUser, async (req, res) => {
+  try {
+    res.status(201).json(await createProject(req.body, req.user.id));
+  } catch (error) {
+    console.error("Project create error:", error);
+    res.status(500).json({ error: "Failed to create project" });
+  }
+});
+
+app.get("/projects/:id", requireUser, async (req, res) => {
+  try {
+    const project = await getProject(req.params.id, req.user.id);
+    if (!project) {
+      return res.status(404).json({ error: "Project not found" });
+    }
+    res.json(project);
+  } catch (error) {
+    console.error("Project load error:", error);
+    res.status(500).json({ error: "Failed to load project" });
+  }
+});
+
+// Renames a project and/or saves its studio state
+app.patch("/projects/:id", requireUser, async (req, res) => {
+  try {
+    const project = await updateProject(req.params.id, req.body, req.user.id);
+    if (!project) {
+      return res.status(404).json({ error: "Project not found" });
+    }
+    res.json(project);
+  } catch (error) {
+    console.error("Project update error:", error);
+    res.status(500).json({ error: "Failed to update project" });
+  }
+});
+
+app.delete("/projects/:id", requireUser, async (req, res) => {
+  try {
+    await deleteProject(req.params.id, req.user.id);
+    res.status(204).end();
+  } catch (error) {
+    console.error("Project delete error:", error);
+    res.status(500).json({ error: "Failed to delete project" });
   }
 });
 
@@ -260,6 +519,43 @@ app.use("*", async (req, res, next) => {
 // Run cleanup every hour
 setInterval(cleanupOldFiles, 60 * 60 * 1000);
 
-app.listen(port, () => {
+const server = app.listen(port, () => {
   console.log(`Express server running on *:${port}`);
 });
+
+// Sessions on the relay transport go through the server. RELAY_AUDIT_LOG
+// appends their events to a JSONL file in the event log's recording format,
+// with the id of the user each one belongs to.
+const auditLog = process.env.RELAY_AUDIT_LOG;
+attachRealtimeRelay(server, {
+  authenticate: getUser,
+  // Relayed sessions are metered like minted keys, with their length. The
+  // quota is reserved on admission and recorded if the session opened.
+  admit: (user, settings) => {
+    checkRate(user.id);
+    return reserveQuota(user.id, "realtime", { model: settings.model });
+  },
+  onSessionEnd: async (user, settings, durationMs, reservation) => {
+    try {
+      if (durationMs !== null) {
+        await reservation.record({
+          provider: "openai",
+          model: settings.model,
+          operation: "realtime",
+          durationMs,
+        });
+      }
+    } finally {
+      reservation.release();
+    }
+  },
+  onEvent: auditLog
+    ? (direction, event, user) =>
+        fs.promises
+          .appendFile(
+            auditLog,
+            `${JSON.stringify({ time: new Date().toISOString(), direction, event, user: user.id })}\n`,
+          )
+          .catch((error) => console.error("Relay audit log error:", error))
+    : undefined,
+});
@@ -0,0 +1,115 @@
+import { ProviderError } from "../providers/index.js";
+import createLocalAuth from "./local.js";
+import createSupabaseAuth from "./supabase.js";
+
+// AUTH_BACKEND picks the backend, defaulting the same way as storage: the
+// Supabase project's Auth service, or the local stand-in for development
+function selectBackend() {
+  const backend =
+    process.env.AUTH_BACKEND ||
+    (process.env.SUPABASE_URL ? "supabase" : "local");
+
+  switch (backend) {
+    case "supabase":
+      return createSupabaseAuth();
+    case "local":
+      return createLocalAuth();
+    default:
+      throw new Error(`Unknown AUTH_BACKEND: ${backend}`);
+  }
+}
+
+// Both backends resolve signUp, signIn and refresh to a session
+// { accessToken, refreshToken, expiresAt, user: { id, email } }, getUser to
+// the user an access token belongs to, or null, and getEmails to the emails
+// of some user ids, by id
+const auth = selectBackend();
+
+// ADMIN_EMAILS, separated by commas, may see everyone's usage
+const adminEmails = (process.env.ADMIN_EMAILS || "")
+  .split(",")
+  .map((email) => email.trim().toLowerCase())
+  .filter(Boolean);
+
+function withRole(user) {
+  return (
+    user && {
+      ...user,
+      isAdmin: adminEmails.includes(user.email?.toLowerCase()),
+    }
+  );
+}
+
+function withUserRole(session) {
+  return session && { ...session, user: withRole(session.user) };
+}
+
+function checkCredentials({ email, password } = {}) {
+  if (typeof email !== "string" || !/^[^\s@]+@[^\s@]+$/.test(email.trim())) {
+    throw new ProviderError("A valid email address is required");
+  }
+  if (typeof password !== "string" || password.length < 8) {
+    throw new ProviderError("The password must be at least 8 characters");
+  }
+  return { email: email.trim().toLowerCase(), password };
+}
+
+export async function signUp(credentials) {
+  return withUserRole(await auth.signUp(checkCredentials(credentials)));
+}
+
+export async function signIn(credentials) {
+  return withUserRole(await auth.signIn(checkCredentials(credentials)));
+}
+
+export async function refreshSession(refreshToken) {
+  if (typeof refreshToken !== "string" || !refreshToken) {
+    throw new ProviderError("A refresh token is required");
+  }
+  return withUserRole(await auth.refresh(refreshToken));
+}
+
+export async function getUser(accessToken) {
+  if (!accessToken) return null;
+  try {
+    return withRole(await auth.getUser(accessToken));
+  } catch (error) {
+    console.error("Auth error:", error);
+    return null;
+  }
+}
+
+// The access token from an `Authorization: Bearer` header or, for
+// EventSource, which can't send headers, an access_token query parameter
+function accessTokenFrom(req) {
+  const header = req.get("Authorization");
+  if (header?.startsWith("Bearer ")) {
+    return header.slice("Bearer ".length);
+  }
+  return typeof req.query.access_token === "string"
+    ? req.query.access_token
+    : null;
+}
+
+export function getEmails(ids) {
+  return auth.getEmails(ids);
+}
+
+// Express middleware for routes that need a signed-in user, who is put on
+// req.user as { id, email, isAdmin }
+export async function requireUser(req, res, next) {
+  const user = await getUser(accessTokenFrom(req));
+  if (!user) {
+    return res.status(401).json({ error: "Sign in to use the studio" });
+  }
+  req.user = user;
+  next();
+}
+
+// For routes only admins may use, after requireUser
+export function requireAdmin(req, res, next) {
+  if (!req.user.isAdmin) {
+    return res.status(403).json({ error: "Only admins can do this" });
+  }
+  next();
+}
@@ -0,0 +1,160 @@
+import fs from "fs";
+import path from "path";
+import {
+  createHmac,
+  randomBytes,
+  randomUUID,
+  scrypt,
+  timingSafeEqual,
+} from "node:crypto";
+import { promisify } from "node:util";
+import { ProviderError } from "../providers/index.js";
+
+const dataDir = path.join(process.cwd(), "data");
+const usersFile = path.join(dataDir, "users.json");
+const secretFile = path.join(dataDir, "auth-secret");
+
+// Same lifetimes as Supabase Auth's defaults
+const accessTokenTtl = 60 * 60 * 1000;
+const refreshTokenTtl = 30 * 24 * 60 * 60 * 1000;
+
+const hashPassword = promisify(scrypt);
+
+// A stand-in for Supabase Auth during development. Users are kept in
+// data/users.json with scrypt password hashes, and tokens are signed with
+// LOCAL_AUTH_SECRET, or a secret generated into data/auth-secret so sessions
+// survive a restart.
+export default function createLocalAuth() {
+  let secret = process.env.LOCAL_AUTH_SECRET;
+
+  async function getSecret() {
+    if (secret) return secret;
+    try {
+      secret = await fs.promises.readFile(secretFile, "utf-8");
+    } catch (error) {
+      if (error.code !== "ENOENT") throw error;
+      secret = randomBytes(32).toString("hex");
+      await fs.promises.mkdir(dataDir, { recursive: true });
+      await fs.promises.writeFile(secretFile, secret, { mode: 0o600 });
+    }
+    return secret;
+  }
+
+  async function readUsers() {
+    try {
+      return JSON.parse(await fs.promises.readFile(usersFile, "utf-8"));
+    } catch (error) {
+      if (error.code === "ENOENT") return [];
+      throw error;
+    }
+  }
+
+  async function sign(payload) {
+    const body = Buffer.from(JSON.stringify(payload)).toString("base64url");
+    const signature = createHmac("sha256", await getSecret())
+      .update(body)
+      .digest("base64url");
+    return `${body}.${signature}`;
+  }
+
+  // The token's payload if it is ours, of the given kind and not expired
+  async function verify(token, kind) {
+    const [body, signature = ""] = String(token).split(".");
+    const expected = createHmac("sha256", await getSecret())
+      .update(body)
+      .digest();
+    const given = Buffer.from(signature, "base64url");
+    if (given.length !== expected.length || !timingSafeEqual(given, expected)) {
+      return null;
+    }
+
+    const payload = JSON.parse(Buffer.from(body, "base64url").toString());
+    if (payload.kind !== kind || payload.exp < Date.now()) return null;
+    return payload;
+  }
+
+  async function createSession(user) {
+    const now = Date.now();
+    const claims = { sub: user.id, email: user.email };
+    return {
+      accessToken: await sign({
+        ...claims,
+        kind: "access",
+        exp: now + accessTokenTtl,
+      }),
+      refreshToken: await sign({
+        ...claims,
+        kind: "refresh",
+        exp: now + refreshTokenTtl,
+      }),
+      expiresAt: now + accessTokenTtl,
+      user: { id: user.id, email: user.email },
+    };
+  }
+
+  return {
+    name: "local",
+
+    async signUp({ email, password }) {
+      const users = await readUsers();
+      if (users.some((user) => user.email === email)) {
+        throw new ProviderError(
+          "An account with this email already exists",
+          409,
+        );
+      }
+
+      const salt = randomBytes(16).toString("hex");
+      const user = {
+        id: randomUUID(),
+        email,
+        salt,
+        passwordHash: (await hashPassword(password, salt, 64)).toString("hex"),
+        createdAt: new Date().toISOString(),
+      };
+      await fs.promises.mkdir(dataDir, { recursive: true });
+      await fs.promises.writeFile(
+        usersFile,
+        JSON.stringify([...users, user], null, 2),
+      );
+      return createSession(user);
+    },
+
+    async signIn({ email, password }) {
+      const user = (await readUsers()).find((entry) => entry.email === email);
+      const hash = user && (await hashPassword(password, user.salt, 64));
+      if (
+        !user ||
+        !timingSafeEqual(hash, Buffer.from(user.passwordHash, "hex"))
+      ) {
+        throw new ProviderError("Wrong email or password", 401);
+      }
+      return createSession(user);
+    },
+
+    async refresh(refreshToken) {
+      const payload = await verify(refreshToken, "refresh");
+      const user =
+        payload &&
+        (await readUsers()).find((entry) => entry.id === payload.sub);
+      if (!user) {
+        throw new ProviderError("The session has expired, sign in again", 401);
+      }
+      return createSession(user);
+    },
+
+    async getEmails(ids) {
+      const users = await readUsers();
+      return Object.fromEntries(
+        users
+          .filter((user) => ids.includes(user.id))
+          .map((user) => [user.id, user.email]),
+      );
+    },
+
+    async getUser(accessToken) {
+      const payload = await verify(accessToken, "access");
+      return payload && { id: payload.sub, email: payload.email };
+    },
+  };
+}
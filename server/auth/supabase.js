@@ -0,0 +1,69 @@
+import { ProviderError } from "../providers/index.js";
+import getSupabase, { createAuthClient } from "../supabase.js";
+
+function toSession(session) {
+  return {
+    accessToken: session.access_token,
+    refreshToken: session.refresh_token,
+    expiresAt: session.expires_at * 1000,
+    user: { id: session.user.id, email: session.user.email },
+  };
+}
+
+// Accounts and sessions in the Supabase project's Auth service
+export default function createSupabaseAuth() {
+  return {
+    name: "supabase",
+
+    // Projects that confirm email addresses give no session until the
+    // address is confirmed; that resolves to null
+    async signUp({ email, password }) {
+      const { data, error } = await createAuthClient().auth.signUp({
+        email,
+        password,
+      });
+      if (error) throw new ProviderError(error.message, error.status || 400);
+      return data.session && toSession(data.session);
+    },
+
+    async signIn({ email, password }) {
+      const { data, error } = await createAuthClient().auth.signInWithPassword({
+        email,
+        password,
+      });
+      if (error) throw new ProviderError(error.message, 401);
+      return toSession(data.session);
+    },
+
+    async refresh(refreshToken) {
+      const { data, error } = await createAuthClient().auth.refreshSession({
+        refresh_token: refreshToken,
+      });
+      if (error || !data.session) {
+        throw new ProviderError("The session has expired, sign in again", 401);
+      }
+      return toSession(data.session);
+    },
+
+    // Looking users up by id takes the service role key
+    async getEmails(ids) {
+      const users = await Promise.all(
+        ids.map(async (id) => {
+          const { data, error } =
+            await getSupabase().auth.admin.getUserById(id);
+          return error ? null : data.user;
+        }),
+      );
+      return Object.fromEntries(
+        users.filter(Boolean).map((user) => [user.id, user.email]),
+      );
+    },
+
+    async getUser(accessToken) {
+      const { data, error } =
+        await createAuthClient().auth.getUser(accessToken);
+      if (error || !data.user) return null;
+      return { id: data.user.id, email: data.user.email };
+    },
+  };
+}
@@ -0,0 +1,180 @@
+import {
+  checkRequest,
+  extensionFor,
+  ProviderError,
+  runModel,
+} from "./providers/index.js";
+import storage, { isStoredUrl } from "./storage/index.js";
+import { reserveQuota } from "./usage/index.js";
+
+// Re-host a provider output in the images bucket
+async function storeImage({ buffer, contentType }, prefix, owner) {
+  const extension = extensionFor(contentType);
+  const filename = `${prefix}_${Date.now()}_${Math.random()
+    .toString(36)
+    .slice(2, 8)}.${extension}`;
+
+  const url = await storage.upload(
+    "images",
+    filename,
+    buffer,
+    contentType,
+    owner,
+  );
+  return { url, output_format: extension };
+}
+
+// Store every image a provider returned, resolving to
+// [{ url, model, seed, guidance, steps, ...output settings, output_format }]
+// so a result can be reproduced from its own record
+async function storeImages(
+  { model, settings, images },
+  prefix,
+  { onProgress, owner } = {},
+) {
+  onProgress?.(0.95, "Storing image");
+  const stored = await Promise.all(
+    images.map((image) => storeImage(image, prefix, owner)),
+  );
+  return stored.map(({ url, output_format }) => ({
+    url,
+    model,
+    ...settings,
+    output_format,
+  }));
+}
+
+// The functions below back both the synchronous routes and generation jobs.
+// `context` carries the owner (a user id) the results are stored for, an
+// optional onProgress(fraction, message) callback and an AbortSignal. Each
+// has a check that throws a ProviderError for parameters it would refuse,
+// which /jobs runs before starting a job. The checks return the usage the
+// request comes to, { units, model }, for the quota check.
+
+const maxOutputs = 4;
+// Where the images edits and upscales start from may be stored
+const imageBuckets = ["images", "masks"];
+
+export function checkGenerate(params) {
+  if (!params.prompt) {
+    throw new ProviderError("A prompt is required");
+  }
+  const count = params.num_outputs ?? 1;
+  if (!Number.isInteger(count) || count < 1 || count > maxOutputs) {
+    throw new ProviderError(`num_outputs must be between 1 and ${maxOutputs}`);
+  }
+  const { model } = checkRequest("generate", params.model, params);
+  return { units: count, model: model.id };
+}
+
+// Each output is a separate run with its own seed, so any one of them can be
+// reproduced on its own. An explicit seed is counted up for the others. The
+// whole batch is reserved against the quotas before any of it runs.
+export async function generateImages(params, context = {}) {
+  const batch = checkGenerate(params);
+  const reservation = await reserveQuota(context.owner, "generate", batch);
+  const count = batch.units;
+
+  const progress = new Array(count).fill(0);
+  const runs = progress.map(async (_, index) => {
+    const result = await runModel(
+      "generate",
+      params.model,
+      {
+        prompt: params.prompt,
+        seed: params.seed == null ? undefined : params.seed + index,
+        guidance: params.guidance,
+        steps: params.steps,
+        aspect_ratio: params.aspect_ratio,
+        size: params.size,
+        output_format: params.output_format,
+        quality: params.quality,
+        transparent_background: params.transparent_background,
+      },
+      {
+        ...context,
+        reservation,
+        onProgress: (fraction, message) => {
+          progress[index] = fraction;
+          const total = progress.reduce((sum, value) => sum + value, 0);
+          context.onProgress?.(total / count, message);
+        },
+      },
+    );
+    return storeImages(result, "generated", context);
+  });
+  try {
+    return (await Promise.all(runs)).flat();
+  } finally {
+    // Outputs still running when another fails keep their share until done
+    await Promise.allSettled(runs);
+    reservation.release();
+  }
+}
+
+export function checkEdit(params) {
+  if (
+    !(params.imageFile || params.imageUrl) ||
+    !params.mask ||
+    !params.prompt
+  ) {
+    throw new ProviderError("An image, a mask and a prompt are required");
+  }
+  if (!isStoredUrl(params.imageFile || params.imageUrl, imageBuckets)) {
+    throw new ProviderError("The image must be one stored by the studio");
+  }
+  if (!isStoredUrl(params.mask, ["masks"])) {
+    throw new ProviderError("The mask must be one stored by the studio");
+  }
+  const { model } = checkRequest("edit", params.model, params);
+  return { units: 1, model: model.id };
+}
+
+export async function editImages(params, context) {
+  checkEdit(params);
+  const image = params.imageFile || params.imageUrl;
+  const { mask, prompt } = params;
+
+  const result = await runModel(
+    "edit",
+    params.model,
+    {
+      image,
+      mask,
+      prompt,
+      seed: params.seed,
+      guidance: params.guidance,
+      steps: params.steps,
+    },
+    context,
+  );
+  return storeImages(result, "edited", context);
+}
+
+const upscaleScales = [2, 4];
+
+export function checkUpscale(params) {
+  if (!params.imageUrl) {
+    throw new ProviderError("No image URL provided");
+  }
+  if (!isStoredUrl(params.imageUrl, imageBuckets)) {
+    throw new ProviderError("The image must be one stored by the studio");
+  }
+  if (params.scale != null && !upscaleScales.includes(params.scale)) {
+    throw new ProviderError(`scale must be ${upscaleScales.join(" or ")}`);
+  }
+  const { model } = checkRequest("upscale", params.model, params);
+  return { units: 1, model: model.id };
+}
+
+export async function upscaleImages(params, context) {
+  checkUpscale(params);
+
+  const result = await runModel(
+    "upscale",
+    params.model,
+    { image: params.imageUrl, scale: params.scale },
+    context,
+  );
+  return storeImages(result, "upscaled", context);
+}
@@ -0,0 +1,143 @@
+import { EventEmitter } from "node:events";
+import { randomUUID } from "node:crypto";
+
+// In-memory job runner for long provider calls. Creating a job returns at
+// once; its status and progress are published to subscribers (the SSE route)
+// as it moves through queued -> running -> succeeded | failed | cancelled.
+// Every job belongs to the user who created it and is only shown to them.
+
+const concurrency = Number(process.env.JOB_CONCURRENCY) || 3;
+// Finished jobs are kept around for late subscribers, then dropped
+const retention = 60 * 60 * 1000;
+
+const jobs = new Map();
+const queue = [];
+const updates = new EventEmitter();
+updates.setMaxListeners(0);
+let running = 0;
+
+function toPublic({ controller, task, owner, ...job }) {
+  return job;
+}
+
+function update(job, changes) {
+  Object.assign(job, changes, { updatedAt: new Date().toISOString() });
+  updates.emit("update", job.owner, toPublic(job));
+}
+
+function finish(job, changes) {
+  update(job, changes);
+  setTimeout(() => jobs.delete(job.id), retention).unref();
+}
+
+async function runJob(job) {
+  running += 1;
+  update(job, { status: "running", message: "Starting" });
+
+  const onProgress = (progress, message = job.message) => {
+    if (job.status !== "running") return;
+    update(job, { progress: Math.min(Math.max(progress, 0), 1), message });
+  };
+
+  try {
+    const result = await job.task(job.params, {
+      owner: job.owner,
+      onProgress,
+      signal: job.controller.signal,
+    });
+    if (job.controller.signal.aborted) {
+      finish(job, { status: "cancelled", message: "Cancelled" });
+    } else {
+      finish(job, {
+        status: "succeeded",
+        progress: 1,
+        message: "Done",
+        result,
+      });
+    }
+  } catch (error) {
+    if (job.controller.signal.aborted) {
+      finish(job, { status: "cancelled", message: "Cancelled" });
+    } else {
+      console.error(`Job ${job.id} (${job.type}) failed:`, error);
+      finish(job, {
+        status: "failed",
+        message: "Failed",
+        error: error.status ? error.message : `Failed to run ${job.type} job`,
+      });
+    }
+  } finally {
+    running -= 1;
+    next();
+  }
+}
+
+function next() {
+  while (running < concurrency && queue.length > 0) {
+    runJob(queue.shift());
+  }
+}
+
+export function createJob(type, params, task, owner) {
+  const now = new Date().toISOString();
+  const job = {
+    id: randomUUID(),
+    type,
+    params,
+    status: "queued",
+    progress: 0,
+    message: "Queued",
+    result: null,
+    error: null,
+    createdAt: now,
+    updatedAt: now,
+    controller: new AbortController(),
+    task,
+    owner,
+  };
+
+  jobs.set(job.id, job);
+  queue.push(job);
+  updates.emit("update", owner, toPublic(job));
+  next();
+  return toPublic(job);
+}
+
+// Someone else's job is as good as missing
+function ownedJob(id, owner) {
+  const job = jobs.get(id);
+  return job?.owner === owner ? job : null;
+}
+
+export function getJob(id, owner) {
+  const job = ownedJob(id, owner);
+  return job ? toPublic(job) : null;
+}
+
+export function listJobs(owner) {
+  return [...jobs.values()].filter((job) => job.owner === owner).map(toPublic);
+}
+
+export function cancelJob(id, owner) {
+  const job = ownedJob(id, owner);
+  if (!job) return null;
+
+  if (job.status === "queued") {
+    queue.splice(queue.indexOf(job), 1);
+    finish(job, { status: "cancelled", message: "Cancelled" });
+  } else if (job.status === "running") {
+    job.controller.abort();
+    update(job, { message: "Cancelling" });
+  }
+  return toPublic(job);
+}
+
+// Calls listener(job) on every change to the owner's jobs; returns an
+// unsubscribe function
+export function subscribe(owner, listener) {
+  const onUpdate = (jobOwner, job) => {
+    if (jobOwner === owner) listener(job);
+  };
+  updates.on("update", onUpdate);
+  return () => updates.off("update", onUpdate);
+}
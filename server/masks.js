@@ -0,0 +1,194 @@
+import sharp from "sharp";
+import { ProviderError } from "./providers/index.js";
+import { fetchImage } from "./providers/shared.js";
+import storage, { isStoredUrl } from "./storage/index.js";
+
+// Masks are white where an edit should happen and black elsewhere. Anything
+// uploaded is brought back to exactly that, whatever the client sent.
+function binarize(pipeline) {
+  return pipeline
+    .flatten({ background: "#000000" })
+    .greyscale()
+    .threshold(128)
+    .toColourspace("b-w")
+    .png()
+    .toBuffer();
+}
+
+// Store a mask painted in the mask editor for its owner, resolving to its URL
+// in the masks bucket
+export async function storePaintedMask(buffer, { owner } = {}) {
+  if (!buffer?.length) {
+    throw new ProviderError("A PNG mask is required");
+  }
+
+  let mask;
+  try {
+    mask = await binarize(sharp(buffer));
+  } catch (error) {
+    throw new ProviderError(
+      `The mask is not a readable image: ${error.message}`,
+    );
+  }
+  return storage.upload(
+    "masks",
+    `mask_painted_${Date.now()}.png`,
+    mask,
+    "image/png",
+    owner,
+  );
+}
+
+// Mask algebra, done locally on single-channel pixel buffers
+
+const operations = [
+  "union",
+  "intersection",
+  "difference",
+  "invert",
+  "dilate",
+  "erode",
+  "feather",
+];
+const combining = ["union", "intersection", "difference"];
+const maxPixels = 200;
+
+async function readMask(url, width, height) {
+  const { buffer } = await fetchImage(url);
+  let pipeline = sharp(buffer).flatten({ background: "#000000" }).greyscale();
+  if (width) {
+    pipeline = pipeline.resize(width, height, { fit: "fill" });
+  }
+  const { data, info } = await pipeline
+    .toColourspace("b-w")
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+  return { pixels: data, width: info.width, height: info.height };
+}
+
+// Grow (dilate) or shrink (erode) by `radius` pixels with a square window.
+// Runs as a row pass and a column pass over prefix sums of the set pixels.
+function morph(pixels, width, height, radius, grow) {
+  const pass = (input, length, count, stride, step) => {
+    const output = Buffer.alloc(input.length);
+    const sums = new Int32Array(length + 1);
+    for (let line = 0; line < count; line++) {
+      const start = line * stride;
+      for (let i = 0; i < length; i++) {
+        sums[i + 1] = sums[i] + (input[start + i * step] >= 128 ? 1 : 0);
+      }
+      for (let i = 0; i < length; i++) {
+        const from = Math.max(0, i - radius);
+        const to = Math.min(length, i + radius + 1);
+        const set = sums[to] - sums[from];
+        const on = grow ? set > 0 : set === to - from;
+        output[start + i * step] = on ? 255 : 0;
+      }
+    }
+    return output;
+  };
+
+  const rows = pass(pixels, width, height, width, 1);
+  return pass(rows, height, width, 1, width);
+}
+
+function checkOperations(list, maskCount) {
+  if (!Array.isArray(list)) {
+    throw new ProviderError("operations must be an array");
+  }
+  list.forEach((operation, index) => {
+    const name = `Operation ${index + 1}`;
+    if (!operations.includes(operation?.op)) {
+      throw new ProviderError(
+        `${name} must be one of ${operations.join(", ")}`,
+      );
+    }
+    if (
+      combining.includes(operation.op) &&
+      !(
+        Number.isInteger(operation.mask) &&
+        operation.mask >= 0 &&
+        operation.mask < maskCount
+      )
+    ) {
+      throw new ProviderError(
+        `${name} (${operation.op}) needs a mask index from 0 to ${maskCount - 1}`,
+      );
+    }
+    if (
+      ["dilate", "erode", "feather"].includes(operation.op) &&
+      !(
+        Number.isInteger(operation.pixels) &&
+        operation.pixels >= 1 &&
+        operation.pixels <= maxPixels
+      )
+    ) {
+      throw new ProviderError(
+        `${name} (${operation.op}) needs pixels from 1 to ${maxPixels}`,
+      );
+    }
+  });
+}
+
+// Start from masks[0] and apply each operation in turn. union, intersection
+// and difference take another mask by its index in `masks`; dilate, erode
+// and feather take a size in pixels. Resolves to the URL of the mask, stored
+// for `owner`.
+export async function composeMasks(
+  { masks, operations: list = [] },
+  { owner } = {},
+) {
+  if (!Array.isArray(masks) || masks.length === 0) {
+    throw new ProviderError("At least one mask URL is required");
+  }
+  if (!masks.every((url) => isStoredUrl(url, ["masks"]))) {
+    throw new ProviderError("Masks must be ones stored by the studio");
+  }
+  checkOperations(list, masks.length);
+
+  const base = await readMask(masks[0]);
+  const { width, height } = base;
+  const others = await Promise.all(
+    masks.map((url, index) =>
+      index === 0 ? base : readMask(url, width, height),
+    ),
+  );
+
+  let pixels = Buffer.from(base.pixels);
+  for (const operation of list) {
+    const other = others[operation.mask]?.pixels;
+    if (operation.op === "union") {
+      pixels = pixels.map((value, i) => Math.max(value, other[i]));
+    } else if (operation.op === "intersection") {
+      pixels = pixels.map((value, i) => Math.min(value, other[i]));
+    } else if (operation.op === "difference") {
+      pixels = pixels.map((value, i) => Math.min(value, 255 - other[i]));
+    } else if (operation.op === "invert") {
+      pixels = pixels.map((value) => 255 - value);
+    } else if (operation.op === "dilate" || operation.op === "erode") {
+      pixels = morph(
+        pixels,
+        width,
+        height,
+        operation.pixels,
+        operation.op === "dilate",
+      );
+    } else if (operation.op === "feather") {
+      pixels = await sharp(pixels, { raw: { width, height, channels: 1 } })
+        .blur(Math.max(0.3, operation.pixels / 2))
+        .raw()
+        .toBuffer();
+    }
+  }
+
+  const mask = await sharp(pixels, { raw: { width, height, channels: 1 } })
+    .png()
+    .toBuffer();
+  return storage.upload(
+    "masks",
+    `mask_composed_${Date.now()}.png`,
+    mask,
+    "image/png",
+    owner,
+  );
+}
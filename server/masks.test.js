@@ -0,0 +1,187 @@
+import sharp from "sharp";
+import { beforeEach, describe, expect, it, vi } from "vitest";
+import { composeMasks, storePaintedMask } from "./masks.js";
+
+// An in-memory masks bucket, read back through fetch
+const stored = vi.hoisted(() => new Map());
+
+vi.mock("./storage/index.js", () => {
+  const publicUrl = (bucket, filename) =>
+    `http://studio.test/uploads/${bucket}/${filename}`;
+  return {
+    default: {
+      publicUrl,
+      async upload(bucket, filename, buffer, contentType, owner) {
+        const url = publicUrl(bucket, `${owner}/${filename}`);
+        stored.set(url, buffer);
+        return url;
+      },
+    },
+    isStoredUrl: (url, buckets) =>
+      buckets.some((bucket) => url.startsWith(publicUrl(bucket, ""))),
+  };
+});
+
+const width = 4;
+const height = 4;
+
+// A 4x4 mask from rows of 0s and 1s
+async function storeMask(name, rows) {
+  const pixels = Buffer.from(rows.flat().map((value) => value * 255));
+  const url = `http://studio.test/uploads/masks/user/${name}.png`;
+  stored.set(
+    url,
+    await sharp(pixels, { raw: { width, height, channels: 1 } })
+      .png()
+      .toBuffer(),
+  );
+  return url;
+}
+
+async function readMask(url) {
+  const data = await sharp(stored.get(url)).greyscale().raw().toBuffer();
+  return Array.from({ length: height }, (_, y) =>
+    Array.from(data.subarray(y * width, (y + 1) * width), (value) =>
+      value >= 128 ? 1 : 0,
+    ),
+  );
+}
+
+const left = [
+  [1, 1, 0, 0],
+  [1, 1, 0, 0],
+  [1, 1, 0, 0],
+  [1, 1, 0, 0],
+];
+const top = [
+  [1, 1, 1, 1],
+  [1, 1, 1, 1],
+  [0, 0, 0, 0],
+  [0, 0, 0, 0],
+];
+
+beforeEach(() => {
+  stored.clear();
+  vi.stubGlobal("fetch", async (url) => {
+    const buffer = stored.get(url);
+    return buffer
+      ? new Response(buffer)
+      : new Response("Not found", { status: 404 });
+  });
+});
+
+describe("composeMasks", () => {
+  it("combines masks by index", async () => {
+    const masks = [await storeMask("left", left), await storeMask("top", top)];
+    const compose = async (op) =>
+      readMask(
+        await composeMasks(
+          { masks, operations: [{ op, mask: 1 }] },
+          { owner: "user" },
+        ),
+      );
+
+    expect(await compose("union")).toEqual([
+      [1, 1, 1, 1],
+      [1, 1, 1, 1],
+      [1, 1, 0, 0],
+      [1, 1, 0, 0],
+    ]);
+    expect(await compose("intersection")).toEqual([
+      [1, 1, 0, 0],
+      [1, 1, 0, 0],
+      [0, 0, 0, 0],
+      [0, 0, 0, 0],
+    ]);
+    expect(await compose("difference")).toEqual([
+      [0, 0, 0, 0],
+      [0, 0, 0, 0],
+      [1, 1, 0, 0],
+      [1, 1, 0, 0],
+    ]);
+  });
+
+  it("inverts, grows and shrinks in order", async () => {
+    const masks = [await storeMask("left", left)];
+    const compose = async (operations) =>
+      readMask(await composeMasks({ masks, operations }, { owner: "user" }));
+
+    expect(await compose([{ op: "invert" }])).toEqual([
+      [0, 0, 1, 1],
+      [0, 0, 1, 1],
+      [0, 0, 1, 1],
+      [0, 0, 1, 1],
+    ]);
+    expect(await compose([{ op: "dilate", pixels: 1 }])).toEqual([
+      [1, 1, 1, 0],
+      [1, 1, 1, 0],
+      [1, 1, 1, 0],
+      [1, 1, 1, 0],
+    ]);
+    expect(await compose([{ op: "erode", pixels: 1 }])).toEqual([
+      [1, 0, 0, 0],
+      [1, 0, 0, 0],
+      [1, 0, 0, 0],
+      [1, 0, 0, 0],
+    ]);
+  });
+
+  it("stores the result for the owner", async () => {
+    const url = await composeMasks(
+      { masks: [await storeMask("left", left)] },
+      { owner: "someone" },
+    );
+    expect(url).toMatch(
+      /^http:\/\/studio\.test\/uploads\/masks\/someone\/mask_composed_/,
+    );
+  });
+
+  it("refuses masks from anywhere but the masks bucket", async () => {
+    await expect(
+      composeMasks({ masks: ["http://elsewhere.test/mask.png"] }),
+    ).rejects.toThrow("Masks must be ones stored by the studio");
+    await expect(
+      composeMasks({
+        masks: ["http://studio.test/uploads/images/user/image.png"],
+      }),
+    ).rejects.toThrow("Masks must be ones stored by the studio");
+  });
+
+  it("refuses operations it can't run", async () => {
+    const masks = [await storeMask("left", left)];
+    await expect(composeMasks({ masks: [] })).rejects.toThrow(
+      "At least one mask URL is required",
+    );
+    await expect(
+      composeMasks({ masks, operations: [{ op: "xor", mask: 0 }] }),
+    ).rejects.toThrow("Operation 1 must be one of");
+    await expect(
+      composeMasks({ masks, operations: [{ op: "union", mask: 1 }] }),
+    ).rejects.toThrow("needs a mask index from 0 to 0");
+    await expect(
+      composeMasks({ masks, operations: [{ op: "dilate", pixels: 0 }] }),
+    ).rejects.toThrow("needs pixels from 1 to 200");
+  });
+});
+
+describe("storePaintedMask", () => {
+  it("stores the mask as pure black and white", async () => {
+    const grey = Buffer.from([200, 50, 128, 127]);
+    const png = await sharp(grey, { raw: { width: 2, height: 2, channels: 1 } })
+      .png()
+      .toBuffer();
+
+    const url = await storePaintedMask(png, { owner: "user" });
+    const data = await sharp(stored.get(url)).greyscale().raw().toBuffer();
+    expect(Array.from(data)).toEqual([255, 0, 255, 0]);
+  });
+
+  it("refuses an empty or unreadable upload", async () => {
+    await expect(storePaintedMask(Buffer.alloc(0))).rejects.toThrow(
+      "A PNG mask is required",
+    );
+    await expect(storePaintedMask(Buffer.from("not a png"))).rejects.toThrow(
+      "The mask is not a readable image",
+    );
+  });
+});
@@ -0,0 +1,184 @@
+import sharp from "sharp";
+import { ProviderError } from "./providers/index.js";
+import { fetchImage } from "./providers/shared.js";
+import { isStoredUrl } from "./storage/index.js";
+
+// Dominant colours of an image, computed locally on a downscaled copy.
+// Transparent pixels are left out.
+
+const sampleSize = 128;
+const maxColors = 12;
+export const paletteMethods = ["kmeans", "median-cut"];
+
+async function samplePixels(url) {
+  const { buffer } = await fetchImage(url);
+  const { data } = await sharp(buffer)
+    .resize(sampleSize, sampleSize, { fit: "inside" })
+    .ensureAlpha()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+
+  const pixels = [];
+  for (let i = 0; i < data.length; i += 4) {
+    if (data[i + 3] >= 128) {
+      pixels.push([data[i], data[i + 1], data[i + 2]]);
+    }
+  }
+  return pixels;
+}
+
+function distance(a, b) {
+  return (a[0] - b[0]) ** 2 + (a[1] - b[1]) ** 2 + (a[2] - b[2]) ** 2;
+}
+
+function average(pixels) {
+  const sum = [0, 0, 0];
+  pixels.forEach((pixel) => pixel.forEach((value, c) => (sum[c] += value)));
+  return sum.map((value) => value / pixels.length);
+}
+
+// Small seeded generator, so the same image always gives the same palette
+function random(seed) {
+  let state = seed;
+  return () => {
+    state = (state * 1664525 + 1013904223) % 2 ** 32;
+    return state / 2 ** 32;
+  };
+}
+
+function kmeans(pixels, count) {
+  const next = random(pixels.length);
+
+  // k-means++ seeding: spread the starting centres over the colours
+  const centres = [pixels[Math.floor(next() * pixels.length)]];
+  while (centres.length < count) {
+    const weights = pixels.map((pixel) =>
+      Math.min(...centres.map((centre) => distance(pixel, centre))),
+    );
+    const total = weights.reduce((sum, weight) => sum + weight, 0);
+    if (total === 0) break;
+    let target = next() * total;
+    const index = weights.findIndex((weight) => (target -= weight) <= 0);
+    centres.push(pixels[index === -1 ? pixels.length - 1 : index]);
+  }
+
+  let assignments = [];
+  for (let iteration = 0; iteration < 20; iteration++) {
+    const updated = pixels.map((pixel) => {
+      let best = 0;
+      centres.forEach((centre, index) => {
+        if (distance(pixel, centre) < distance(pixel, centres[best])) {
+          best = index;
+        }
+      });
+      return best;
+    });
+    const converged = updated.every((value, i) => value === assignments[i]);
+    assignments = updated;
+    if (converged) break;
+
+    centres.forEach((centre, index) => {
+      const members = pixels.filter((_, i) => assignments[i] === index);
+      if (members.length > 0) centres[index] = average(members);
+    });
+  }
+
+  return centres;
+}
+
+// Split the box with the widest channel range at its median until there are
+// `count` boxes, then take each box's average colour
+function medianCut(pixels, count) {
+  const boxes = [pixels];
+  while (boxes.length < count) {
+    const ranges = boxes.map((box) =>
+      [0, 1, 2].map(
+        (c) =>
+          Math.max(...box.map((pixel) => pixel[c])) -
+          Math.min(...box.map((pixel) => pixel[c])),
+      ),
+    );
+    const widest = ranges
+      .map((range, index) => ({ index, range: Math.max(...range) }))
+      .filter(({ index }) => boxes[index].length > 1)
+      .sort((a, b) => b.range - a.range)[0];
+    if (!widest || widest.range === 0) break;
+
+    const box = boxes[widest.index];
+    const channel = ranges[widest.index].indexOf(widest.range);
+    const sorted = [...box].sort((a, b) => a[channel] - b[channel]);
+    const middle = Math.floor(sorted.length / 2);
+    boxes.splice(
+      widest.index,
+      1,
+      sorted.slice(0, middle),
+      sorted.slice(middle),
+    );
+  }
+
+  return boxes.map(average);
+}
+
+// How many pixels are nearest to each colour. Median-cut boxes hold equal
+// pixel counts by construction, so their sizes say nothing about coverage.
+function countNearest(pixels, colors) {
+  const counts = colors.map(() => 0);
+  pixels.forEach((pixel) => {
+    let best = 0;
+    colors.forEach((color, index) => {
+      if (distance(pixel, color) < distance(pixel, colors[best])) {
+        best = index;
+      }
+    });
+    counts[best] += 1;
+  });
+  return counts;
+}
+
+function toHex(color) {
+  return `#${color
+    .map((value) => Math.round(value).toString(16).padStart(2, "0"))
+    .join("")}`;
+}
+
+// Resolves to { method, colors: [{ hex, share }] }, most common colour first,
+// with shares of the visible pixels adding up to about 1
+export async function extractPalette({
+  imageUrl,
+  count = 5,
+  method = "kmeans",
+}) {
+  if (!imageUrl) {
+    throw new ProviderError("No image URL provided");
+  }
+  if (!isStoredUrl(imageUrl, ["images", "masks"])) {
+    throw new ProviderError("The image must be one stored by the studio");
+  }
+  if (!Number.isInteger(count) || count < 1 || count > maxColors) {
+    throw new ProviderError(`count must be between 1 and ${maxColors}`);
+  }
+  if (!paletteMethods.includes(method)) {
+    throw new ProviderError(
+      `method must be one of ${paletteMethods.join(", ")}`,
+    );
+  }
+
+  const pixels = await samplePixels(imageUrl);
+  if (pixels.length === 0) {
+    throw new ProviderError("The image has no visible pixels");
+  }
+
+  const colors = (method === "kmeans" ? kmeans : medianCut)(pixels, count);
+  const counts = countNearest(pixels, colors);
+  return {
+    method,
+    colors: colors
+      .map((color, index) => ({ color, size: counts[index] }))
+      .filter((cluster) => cluster.size > 0)
+      .sort((a, b) => b.size - a.size)
+      .map((cluster) => ({
+        hex: toHex(cluster.color),
+        share: Math.round((cluster.size / pixels.length) * 1000) / 1000,
+      })),
+  };
+}
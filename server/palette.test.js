@@ -0,0 +1,116 @@
+import sharp from "sharp";
+import { beforeEach, describe, expect, it, vi } from "vitest";
+import { extractPalette } from "./palette.js";
+
+const images = new Map();
+
+vi.mock("./storage/index.js", () => ({
+  isStoredUrl: (url, buckets) =>
+    buckets.some((bucket) =>
+      url.startsWith(`http://studio.test/uploads/${bucket}/`),
+    ),
+}));
+
+// Stores an image made of horizontal bands of { color, rows, alpha? }, as
+// wide as the sample so it isn't resampled
+async function storeBands(name, bands) {
+  const width = 128;
+  const rows = bands.flatMap(({ color, rows, alpha = 255 }) =>
+    Array.from({ length: rows }, () => [...color, alpha]),
+  );
+  const pixels = Buffer.from(
+    rows.flatMap((pixel) => Array.from({ length: width }, () => pixel)).flat(),
+  );
+  const url = `http://studio.test/uploads/images/user/${name}.png`;
+  images.set(
+    url,
+    await sharp(pixels, { raw: { width, height: rows.length, channels: 4 } })
+      .png()
+      .toBuffer(),
+  );
+  return url;
+}
+
+beforeEach(() => {
+  images.clear();
+  vi.stubGlobal("fetch", async (url) => new Response(images.get(url)));
+});
+
+describe("extractPalette", () => {
+  it.each(["kmeans", "median-cut"])(
+    "gives each colour its share of the pixels with %s",
+    async (method) => {
+      const imageUrl = await storeBands("bands", [
+        { color: [255, 0, 0], rows: 8 },
+        { color: [0, 0, 255], rows: 2 },
+      ]);
+
+      const palette = await extractPalette({ imageUrl, count: 2, method });
+      expect(palette.method).toBe(method);
+      expect(palette.colors[0].hex).toBe("#ff0000");
+      expect(palette.colors[0].share).toBeCloseTo(0.8, 1);
+      expect(palette.colors[1].share).toBeCloseTo(0.2, 1);
+    },
+  );
+
+  it.each(["kmeans", "median-cut"])(
+    "finds the colours of an evenly split image with %s",
+    async (method) => {
+      const imageUrl = await storeBands("halves", [
+        { color: [255, 0, 0], rows: 5 },
+        { color: [0, 0, 255], rows: 5 },
+      ]);
+
+      const palette = await extractPalette({ imageUrl, count: 2, method });
+      expect(palette.colors.map((color) => color.hex).sort()).toEqual([
+        "#0000ff",
+        "#ff0000",
+      ]);
+    },
+  );
+
+  it("gives the same palette for the same image", async () => {
+    const imageUrl = await storeBands("many", [
+      { color: [250, 200, 10], rows: 3 },
+      { color: [20, 120, 60], rows: 3 },
+      { color: [90, 30, 200], rows: 4 },
+    ]);
+    expect(await extractPalette({ imageUrl, count: 3 })).toEqual(
+      await extractPalette({ imageUrl, count: 3 }),
+    );
+  });
+
+  it("leaves transparent pixels out", async () => {
+    const imageUrl = await storeBands("transparent", [
+      { color: [0, 255, 0], rows: 5 },
+      { color: [255, 0, 0], rows: 5, alpha: 0 },
+    ]);
+    const palette = await extractPalette({ imageUrl, count: 2 });
+    expect(palette.colors).toEqual([{ hex: "#00ff00", share: 1 }]);
+  });
+
+  it("refuses an image with no visible pixels", async () => {
+    const imageUrl = await storeBands("empty", [
+      { color: [0, 0, 0], rows: 2, alpha: 0 },
+    ]);
+    await expect(extractPalette({ imageUrl })).rejects.toThrow(
+      "The image has no visible pixels",
+    );
+  });
+
+  it("refuses images the studio didn't store", async () => {
+    await expect(
+      extractPalette({ imageUrl: "http://169.254.169.254/latest" }),
+    ).rejects.toThrow("The image must be one stored by the studio");
+  });
+
+  it("checks the count and method", async () => {
+    const imageUrl = "http://studio.test/uploads/images/user/any.png";
+    await expect(extractPalette({ imageUrl, count: 13 })).rejects.toThrow(
+      "count must be between 1 and 12",
+    );
+    await expect(
+      extractPalette({ imageUrl, method: "octree" }),
+    ).rejects.toThrow("method must be one of kmeans, median-cut");
+  });
+});
@@ -0,0 +1,97 @@
+import { randomUUID } from "node:crypto";
+import createLocalProjectStore from "./local.js";
+import createSupabaseProjectStore from "./supabase.js";
+
+// PROJECT_STORE picks the backend, defaulting the same way as storage
+function selectStore() {
+  const backend =
+    process.env.PROJECT_STORE ||
+    (process.env.SUPABASE_URL ? "supabase" : "local");
+
+  switch (backend) {
+    case "supabase":
+      return createSupabaseProjectStore();
+    case "local":
+      return createLocalProjectStore();
+    default:
+      throw new Error(`Unknown PROJECT_STORE: ${backend}`);
+  }
+}
+
+const store = selectStore();
+
+// Studio state a project saves; anything else in a PATCH body is ignored
+const stateFields = [
+  "versions",
+  "currentVersionId",
+  "palettes",
+  "transcript",
+  "sessionSettings",
+  "sessionPresets",
+];
+
+function pickState(body) {
+  return Object.fromEntries(
+    stateFields
+      .filter((field) => body[field] !== undefined)
+      .map((field) => [field, body[field]]),
+  );
+}
+
+function summarize(project) {
+  const current = project.versions.find(
+    (version) => version.id === project.currentVersionId,
+  );
+  return {
+    id: project.id,
+    name: project.name,
+    createdAt: project.createdAt,
+    updatedAt: project.updatedAt,
+    thumbnailUrl: current?.url || null,
+  };
+}
+
+// Every project belongs to one user (ownerId) and the functions below only
+// ever see the given owner's projects
+
+export async function listProjects(ownerId) {
+  const projects = await store.list(ownerId);
+  return projects
+    .map(summarize)
+    .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+}
+
+export function getProject(id, ownerId) {
+  return store.get(id, ownerId);
+}
+
+export function createProject({ name }, ownerId) {
+  const now = new Date().toISOString();
+  return store.create({
+    id: randomUUID(),
+    ownerId,
+    name: name || "Untitled project",
+    createdAt: now,
+    updatedAt: now,
+    versions: [],
+    currentVersionId: null,
+    palettes: [],
+    transcript: [],
+  });
+}
+
+export function updateProject(id, body, ownerId) {
+  const patch = pickState(body);
+  if (typeof body.name === "string" && body.name.trim()) {
+    patch.name = body.name.trim();
+  }
+  return store.update(
+    id,
+    { ...patch, updatedAt: new Date().toISOString() },
+    ownerId,
+  );
+}
+
+export function deleteProject(id, ownerId) {
+  return store.remove(id, ownerId);
+}
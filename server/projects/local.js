@@ -0,0 +1,72 @@
+import fs from "fs";
+import path from "path";
+
+export const projectsDir = path.join(process.cwd(), "data", "projects");
+
+// Keeps each project as data/projects/<id>.json, with its owner's user id in
+// ownerId
+export default function createLocalProjectStore() {
+  function filePath(id) {
+    if (!/^[\w-]+$/.test(id)) {
+      throw new Error(`Invalid project id: ${id}`);
+    }
+    return path.join(projectsDir, `${id}.json`);
+  }
+
+  async function read(id) {
+    if (!/^[\w-]+$/.test(id)) return null;
+
+    try {
+      return JSON.parse(await fs.promises.readFile(filePath(id), "utf-8"));
+    } catch (error) {
+      if (error.code === "ENOENT") return null;
+      throw error;
+    }
+  }
+
+  // Someone else's project is as good as missing
+  async function readOwned(id, ownerId) {
+    const project = await read(id);
+    return project?.ownerId === ownerId ? project : null;
+  }
+
+  async function write(project) {
+    await fs.promises.mkdir(projectsDir, { recursive: true });
+    await fs.promises.writeFile(
+      filePath(project.id),
+      JSON.stringify(project, null, 2),
+    );
+    return project;
+  }
+
+  return {
+    name: "local",
+
+    async list(ownerId) {
+      await fs.promises.mkdir(projectsDir, { recursive: true });
+      const files = await fs.promises.readdir(projectsDir);
+      const projects = await Promise.all(
+        files
+          .filter((file) => file.endsWith(".json"))
+          .map((file) => read(path.basename(file, ".json"))),
+      );
+      return projects.filter((project) => project.ownerId === ownerId);
+    },
+
+    get: readOwned,
+
+    create: write,
+
+    async update(id, patch, ownerId) {
+      const project = await readOwned(id, ownerId);
+      if (!project) return null;
+      return write({ ...project, ...patch, id, ownerId });
+    },
+
+    async remove(id, ownerId) {
+      if (await readOwned(id, ownerId)) {
+        await fs.promises.rm(filePath(id), { force: true });
+      }
+    },
+  };
+}
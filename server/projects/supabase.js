@@ -0,0 +1,85 @@
+import getSupabase from "../supabase.js";
+
+// Keeps projects in the `projects` table, with the studio state in a jsonb
+// `data` column and the owner's user id in `owner_id` (see
+// supabase/migrations). Every query is limited to the owner's rows.
+export default function createSupabaseProjectStore() {
+  const supabase = getSupabase();
+
+  const fromRow = (row) =>
+    row && {
+      ...row.data,
+      id: row.id,
+      ownerId: row.owner_id,
+      name: row.name,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at,
+    };
+
+  const toRow = ({ id, ownerId, name, createdAt, updatedAt, ...data }) => ({
+    id,
+    owner_id: ownerId,
+    name,
+    data,
+    created_at: createdAt,
+    updated_at: updatedAt,
+  });
+
+  return {
+    name: "supabase",
+
+    async list(ownerId) {
+      const { data, error } = await supabase
+        .from("projects")
+        .select("*")
+        .eq("owner_id", ownerId);
+      if (error) throw error;
+      return data.map(fromRow);
+    },
+
+    async get(id, ownerId) {
+      const { data, error } = await supabase
+        .from("projects")
+        .select("*")
+        .eq("id", id)
+        .eq("owner_id", ownerId)
+        .maybeSingle();
+      if (error) throw error;
+      return fromRow(data);
+    },
+
+    async create(project) {
+      const { data, error } = await supabase
+        .from("projects")
+        .insert(toRow(project))
+        .select()
+        .single();
+      if (error) throw error;
+      return fromRow(data);
+    },
+
+    async update(id, patch, ownerId) {
+      const project = await this.get(id, ownerId);
+      if (!project) return null;
+
+      const { data, error } = await supabase
+        .from("projects")
+        .update(toRow({ ...project, ...patch, id, ownerId }))
+        .eq("id", id)
+        .eq("owner_id", ownerId)
+        .select()
+        .single();
+      if (error) throw error;
+      return fromRow(data);
+    },
+
+    async remove(id, ownerId) {
+      const { error } = await supabase
+        .from("projects")
+        .delete()
+        .eq("id", id)
+        .eq("owner_id", ownerId);
+      if (error) throw error;
+    },
+  };
+}
@@ -0,0 +1,132 @@
+import sharp from "sharp";
+import { contentTypeFor, ProviderError } from "./shared.js";
+
+// Output controls for generation. Each generate model declares the aspect
+// ratios it can draw in `output.aspectRatios` and whether it can leave the
+// background transparent. Formats and quality work everywhere, because the
+// result is converted when a provider returns something else.
+
+export const aspectRatios = [
+  "1:1",
+  "4:5",
+  "5:4",
+  "3:4",
+  "4:3",
+  "2:3",
+  "3:2",
+  "9:16",
+  "16:9",
+  "21:9",
+  "1:3",
+  "3:1",
+];
+
+// Exact pixel sizes for common uses, drawn at their aspect ratio and then
+// cropped to size
+export const sizePresets = {
+  square: { width: 1024, height: 1024, aspectRatio: "1:1" },
+  social_square: { width: 1080, height: 1080, aspectRatio: "1:1" },
+  social_portrait: { width: 1080, height: 1350, aspectRatio: "4:5" },
+  story: { width: 1080, height: 1920, aspectRatio: "9:16" },
+  landscape_hd: { width: 1920, height: 1080, aspectRatio: "16:9" },
+  banner: { width: 1500, height: 500, aspectRatio: "3:1" },
+};
+
+export const outputFormats = ["webp", "png", "jpg"];
+
+// Check the requested output against what the model supports and fill in
+// the defaults: a square WebP at the model's own size
+export function resolveOutput(model, params) {
+  const preset = params.size ? sizePresets[params.size] : null;
+  if (params.size && !preset) {
+    throw new ProviderError(
+      `Unknown size ${params.size}, use one of ${Object.keys(sizePresets).join(", ")}`,
+    );
+  }
+  if (
+    preset &&
+    params.aspect_ratio &&
+    params.aspect_ratio !== preset.aspectRatio
+  ) {
+    throw new ProviderError(
+      `Size ${params.size} is ${preset.aspectRatio}, which conflicts with aspect_ratio ${params.aspect_ratio}`,
+    );
+  }
+
+  const aspectRatio = preset?.aspectRatio || params.aspect_ratio || "1:1";
+  const supported = model.output?.aspectRatios || ["1:1"];
+  if (!supported.includes(aspectRatio)) {
+    throw new ProviderError(
+      `${model.id} can't draw ${aspectRatio} images, it supports ${supported.join(", ")}`,
+    );
+  }
+
+  const format = params.output_format || "webp";
+  if (!outputFormats.includes(format)) {
+    throw new ProviderError(
+      `Unknown output_format ${format}, use one of ${outputFormats.join(", ")}`,
+    );
+  }
+
+  const quality = params.quality ?? null;
+  if (
+    quality !== null &&
+    !(Number.isInteger(quality) && quality >= 1 && quality <= 100)
+  ) {
+    throw new ProviderError("quality must be a whole number from 1 to 100");
+  }
+
+  const transparent = Boolean(params.transparent_background);
+  if (transparent && format === "jpg") {
+    throw new ProviderError("JPG has no transparency, use png or webp");
+  }
+  if (transparent && !model.output?.transparent) {
+    throw new ProviderError(`${model.id} can't make transparent backgrounds`);
+  }
+
+  return {
+    aspectRatio,
+    size: params.size || null,
+    width: preset?.width || null,
+    height: preset?.height || null,
+    format,
+    quality,
+    transparent,
+  };
+}
+
+// What a generated image records about its output
+export function outputSettings(output) {
+  return {
+    aspect_ratio: output.aspectRatio,
+    size: output.size,
+    quality: output.quality,
+    transparent_background: output.transparent,
+  };
+}
+
+// Bring provider images to the requested format, preset size and quality.
+// Quality only applies to the lossy formats, so a PNG passes through whenever
+// its size is already right.
+export function conformImages(images, output) {
+  const contentType = contentTypeFor(output.format);
+  const quality = output.format === "png" ? null : output.quality;
+  return Promise.all(
+    images.map(async (image) => {
+      if (image.contentType === contentType && !output.width && !quality) {
+        return image;
+      }
+
+      let pipeline = sharp(image.buffer);
+      if (output.width) {
+        pipeline = pipeline.resize(output.width, output.height, {
+          fit: "cover",
+        });
+      }
+      const buffer = await pipeline
+        .toFormat(output.format, quality ? { quality } : {})
+        .toBuffer();
+      return { buffer, contentType };
+    }),
+  );
+}
@@ -0,0 +1,133 @@
+import sharp from "sharp";
+import { fetchImage, ProviderError } from "./shared.js";
+
+const baseUrl = "https://api.ideogram.ai";
+
+const models = [
+  {
+    id: "ideogram-v2",
+    label: "Ideogram 2.0 (good with text in images)",
+    capabilities: ["generate", "edit", "upscale"],
+    version: "V_2",
+    settings: { seed: true },
+    output: {
+      aspectRatios: [
+        "1:1",
+        "3:4",
+        "4:3",
+        "2:3",
+        "3:2",
+        "9:16",
+        "16:9",
+        "1:3",
+        "3:1",
+      ],
+    },
+  },
+  {
+    id: "ideogram-v2-turbo",
+    label: "Ideogram 2.0 Turbo",
+    capabilities: ["generate", "edit"],
+    version: "V_2_TURBO",
+    settings: { seed: true },
+    output: {
+      aspectRatios: [
+        "1:1",
+        "3:4",
+        "4:3",
+        "2:3",
+        "3:2",
+        "9:16",
+        "16:9",
+        "1:3",
+        "3:1",
+      ],
+    },
+  },
+];
+
+// These APIs answer in one round trip, so progress is only coarse
+async function request(endpoint, body, { onProgress, signal } = {}) {
+  const isForm = body instanceof FormData;
+  onProgress?.(0.2, "Generating");
+  const response = await fetch(`${baseUrl}${endpoint}`, {
+    method: "POST",
+    signal,
+    headers: {
+      "Api-Key": process.env.IDEOGRAM_API_KEY,
+      ...(isForm ? {} : { "Content-Type": "application/json" }),
+    },
+    body: isForm ? body : JSON.stringify(body),
+  });
+
+  const data = await response.json();
+  if (!response.ok) {
+    throw new ProviderError(
+      `Ideogram request failed: ${JSON.stringify(data)}`,
+      502,
+    );
+  }
+
+  // Ideogram URLs expire, so download them straight away
+  return Promise.all(data.data.map((image) => fetchImage(image.url, signal)));
+}
+
+async function fileField(url) {
+  const { buffer, contentType } = await fetchImage(url);
+  return new Blob([buffer], { type: contentType });
+}
+
+export default {
+  name: "ideogram",
+  models,
+
+  isConfigured() {
+    return Boolean(process.env.IDEOGRAM_API_KEY);
+  },
+
+  // Ideogram answers with PNGs, which formats.js converts when needed
+  generate(model, { prompt, seed, output }, context) {
+    return request(
+      "/generate",
+      {
+        image_request: {
+          prompt,
+          seed,
+          aspect_ratio: `ASPECT_${output.aspectRatio.replace(":", "_")}`,
+          model: model.version,
+          magic_prompt_option: "AUTO",
+        },
+      },
+      context,
+    );
+  },
+
+  async edit(model, { image, mask, prompt, seed }, context) {
+    // Ideogram repaints the black areas, the inverse of our white-is-edit masks
+    const { buffer: maskBuffer } = await fetchImage(mask);
+    const invertedMask = await sharp(maskBuffer)
+      .greyscale()
+      .negate()
+      .png()
+      .toBuffer();
+
+    const form = new FormData();
+    form.append("image_file", await fileField(image), "image");
+    form.append(
+      "mask",
+      new Blob([invertedMask], { type: "image/png" }),
+      "mask.png",
+    );
+    form.append("prompt", prompt);
+    form.append("model", model.version);
+    form.append("seed", String(seed));
+    return request("/edit", form, context);
+  },
+
+  async upscale(model, { image }, context) {
+    const form = new FormData();
+    form.append("image_file", await fileField(image), "image");
+    form.append("image_request", JSON.stringify({}));
+    return request("/upscale", form, context);
+  },
+};
@@ -0,0 +1,151 @@
+import replicate from "./replicate.js";
+import ideogram from "./ideogram.js";
+import openai from "./openai.js";
+import mock from "./mock.js";
+import { ProviderError } from "./shared.js";
+import { conformImages, outputSettings, resolveOutput } from "./formats.js";
+import { meter } from "../usage/index.js";
+
+export { ProviderError, extensionFor } from "./shared.js";
+
+// Listed in order of preference when no model is requested
+const providers = [replicate, ideogram, openai, mock];
+
+function configuredModels() {
+  return providers
+    .filter((provider) => provider.isConfigured())
+    .flatMap((provider) =>
+      provider.models.map((model) => ({ ...model, provider })),
+    );
+}
+
+// Public description of the models the server can currently run
+export function listModels() {
+  return configuredModels().map(
+    ({ id, label, capabilities, output, provider }) => ({
+      id,
+      label,
+      capabilities,
+      ...(output ? { output } : {}),
+      provider: provider.name,
+    }),
+  );
+}
+
+export function defaultModel(capability) {
+  const preferred = process.env[`DEFAULT_${capability.toUpperCase()}_MODEL`];
+  const models = configuredModels().filter((model) =>
+    model.capabilities.includes(capability),
+  );
+  return (models.find((model) => model.id === preferred) || models[0])?.id;
+}
+
+export function resolveModel(id, capability) {
+  const modelId = id || defaultModel(capability);
+  const model = configuredModels().find((entry) => entry.id === modelId);
+
+  if (!model) {
+    throw new ProviderError(`Unknown or unconfigured model: ${modelId}`);
+  }
+  if (!model.capabilities.includes(capability)) {
+    throw new ProviderError(`Model ${modelId} does not support ${capability}`);
+  }
+  return model;
+}
+
+// Ranges a requested seed, guidance or steps must fall in, matching the
+// bounds the tools give the voice agent
+const settingLimits = {
+  seed: { min: 0, max: 2 ** 31 - 1, integer: true },
+  guidance: { min: 1, max: 20 },
+  steps: { min: 1, max: 50, integer: true },
+};
+
+function checkSettings(params) {
+  for (const [name, { min, max, integer }] of Object.entries(settingLimits)) {
+    const value = params[name];
+    if (value == null) continue;
+    if (
+      typeof value !== "number" ||
+      (integer && !Number.isInteger(value)) ||
+      value < min ||
+      value > max
+    ) {
+      throw new ProviderError(
+        `${name} must be a ${integer ? "whole number" : "number"} from ${min} to ${max}`,
+      );
+    }
+  }
+}
+
+// Refuse a request the model would reject before anything runs or is
+// metered, so jobs can be turned away up front. Resolves the model and, for
+// generation, the output controls.
+export function checkRequest(capability, id, params) {
+  const model = resolveModel(id, capability);
+  checkSettings(params);
+  const output =
+    capability === "generate" ? resolveOutput(model, params) : null;
+  return { model, output };
+}
+
+function randomSeed() {
+  return Math.floor(Math.random() * 2 ** 31);
+}
+
+// The seed, guidance and steps a model honours, declared in its `settings`
+// with their defaults. Requested values win, a missing seed is drawn at
+// random, and settings the model ignores are recorded as null.
+function settingsFor(model, params) {
+  const declared = model.settings || {};
+  return Object.fromEntries(
+    ["seed", "guidance", "steps"].map((name) => {
+      if (!(name in declared)) return [name, null];
+      const fallback = name === "seed" ? randomSeed() : declared[name];
+      return [name, params[name] ?? fallback];
+    }),
+  );
+}
+
+// Run a capability (generate, edit or upscale) on the requested model for
+// the user in `context.owner`, metered against their quotas (see
+// usage/index.js). `context` may also carry onProgress(fraction, message), an
+// AbortSignal and the quota reservation of the batch the call belongs to. Resolves to the model id, the settings it ran with and an
+// array of { buffer, contentType } images. Generation also takes the output
+// controls from formats.js, which each provider maps onto its own parameters.
+export async function runModel(capability, id, params, context = {}) {
+  const { model, output } = checkRequest(capability, id, params);
+  const settings = settingsFor(model, params);
+  const call = {
+    owner: context.owner,
+    provider: model.provider.name,
+    model: model.id,
+    operation: capability,
+  };
+
+  if (capability !== "generate") {
+    const images = await meter(
+      call,
+      () =>
+        model.provider[capability](model, { ...params, ...settings }, context),
+      context.reservation,
+    );
+    return { model: model.id, settings, images };
+  }
+
+  const images = await meter(
+    call,
+    () =>
+      model.provider.generate(
+        model,
+        { ...params, ...settings, output },
+        context,
+      ),
+    context.reservation,
+  );
+  return {
+    model: model.id,
+    settings: { ...settings, ...outputSettings(output) },
+    images: await conformImages(images, output),
+  };
+}
@@ -0,0 +1,120 @@
+import sharp from "sharp";
+import { createHash } from "node:crypto";
+import { aspectRatios } from "./formats.js";
+import { contentTypeFor, fetchImage } from "./shared.js";
+
+// Offline stand-in that draws deterministic placeholder images, so the studio
+// can be developed and tested without any provider credentials.
+
+const models = [
+  {
+    id: "mock",
+    label: "Mock placeholder images (offline)",
+    capabilities: ["generate", "edit", "upscale"],
+    settings: { seed: true },
+    output: { aspectRatios, transparent: true },
+  },
+];
+
+// The longer side of a generated placeholder
+const size = 1024;
+
+function dimensions(aspectRatio) {
+  const [w, h] = aspectRatio.split(":").map(Number);
+  return w >= h
+    ? { width: size, height: Math.round((size * h) / w) }
+    : { width: Math.round((size * w) / h), height: size };
+}
+
+function hue(text, offset = 0) {
+  const digest = createHash("sha256").update(text).digest();
+  return digest.readUInt16BE(offset) % 360;
+}
+
+function escapeXml(text) {
+  return text.replace(/[<>&"']/g, (char) => `&#${char.charCodeAt(0)};`);
+}
+
+// The same prompt, seed and output always draw the same picture
+function placeholderSvg(prompt, seed, output) {
+  const label = escapeXml(
+    prompt.length > 60 ? `${prompt.slice(0, 57)}...` : prompt,
+  );
+  const key = `${prompt}#${seed}`;
+  const { width, height } = dimensions(output.aspectRatio);
+  const radius = Math.min(width, height) / 6;
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">
+  <defs>
+    <linearGradient id="g" x1="0" y1="0" x2="1" y2="1">
+      <stop offset="0" stop-color="hsl(${hue(key)}, 70%, 55%)"/>
+      <stop offset="1" stop-color="hsl(${hue(key, 2)}, 70%, 35%)"/>
+    </linearGradient>
+  </defs>
+  ${output.transparent ? "" : '<rect width="100%" height="100%" fill="url(#g)"/>'}
+  <circle cx="${width / 4 + ((hue(key, 4) / 360) * width) / 2}" cy="${height / 4 + ((hue(key, 6) / 360) * height) / 2}" r="${radius}" fill="hsl(${hue(key, 8)}, 80%, 70%)" opacity="0.8"/>
+  <text x="50%" y="92%" font-family="monospace" font-size="32" fill="${output.transparent ? "#000000" : "#ffffff"}" text-anchor="middle">${label}</text>
+</svg>`;
+}
+
+async function render(pipeline, { onProgress } = {}, format = "webp", quality) {
+  onProgress?.(0.5, "Drawing placeholder");
+  return [
+    {
+      buffer: await pipeline
+        .toFormat(format, quality ? { quality } : {})
+        .toBuffer(),
+      contentType: contentTypeFor(format),
+    },
+  ];
+}
+
+export default {
+  name: "mock",
+  models,
+
+  isConfigured() {
+    return true;
+  },
+
+  generate(model, { prompt, seed, output }, context) {
+    return render(
+      sharp(Buffer.from(placeholderSvg(prompt, seed, output))),
+      context,
+      output.format,
+      output.quality,
+    );
+  },
+
+  // Paints the masked area with a flat colour derived from the prompt and seed
+  async edit(model, { image, mask, prompt, seed }, context) {
+    const { buffer: imageBuffer } = await fetchImage(image);
+    const { buffer: maskBuffer } = await fetchImage(mask);
+    const { width, height } = await sharp(imageBuffer).metadata();
+
+    const alpha = await sharp(maskBuffer)
+      .resize(width, height)
+      .greyscale()
+      .toColourspace("b-w")
+      .raw()
+      .toBuffer();
+    const fill = await sharp({
+      create: {
+        width,
+        height,
+        channels: 3,
+        background: `hsl(${hue(`${prompt}#${seed}`)}, 70%, 50%)`,
+      },
+    })
+      .joinChannel(alpha, { raw: { width, height, channels: 1 } })
+      .png()
+      .toBuffer();
+
+    return render(sharp(imageBuffer).composite([{ input: fill }]), context);
+  },
+
+  async upscale(model, { image, scale }, context) {
+    const { buffer } = await fetchImage(image);
+    const { width } = await sharp(buffer).metadata();
+    return render(sharp(buffer).resize(width * (scale || 2)), context);
+  },
+};
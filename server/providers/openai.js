@@ -0,0 +1,140 @@
+import sharp from "sharp";
+import { contentTypeFor, fetchImage, ProviderError } from "./shared.js";
+
+const baseUrl = "https://api.openai.com/v1/images";
+
+const models = [
+  {
+    id: "gpt-image-1",
+    label: "GPT Image 1",
+    capabilities: ["generate", "edit"],
+    version: "gpt-image-1",
+    output: { aspectRatios: ["1:1", "3:2", "2:3"], transparent: true },
+    sizes: { "1:1": "1024x1024", "3:2": "1536x1024", "2:3": "1024x1536" },
+  },
+  {
+    id: "dall-e-3",
+    label: "DALL·E 3",
+    capabilities: ["generate"],
+    version: "dall-e-3",
+    output: { aspectRatios: ["1:1", "16:9", "9:16"] },
+    sizes: { "1:1": "1024x1024", "16:9": "1792x1024", "9:16": "1024x1792" },
+  },
+];
+
+// These APIs answer in one round trip, so progress is only coarse
+async function request(
+  endpoint,
+  body,
+  { onProgress, signal } = {},
+  contentType = "image/png",
+) {
+  const isForm = body instanceof FormData;
+  onProgress?.(0.2, "Generating");
+  const response = await fetch(`${baseUrl}${endpoint}`, {
+    method: "POST",
+    signal,
+    headers: {
+      Authorization: `Bearer ${process.env.OPENAI_API_KEY}`,
+      ...(isForm ? {} : { "Content-Type": "application/json" }),
+    },
+    body: isForm ? body : JSON.stringify(body),
+  });
+
+  const data = await response.json();
+  if (!response.ok) {
+    throw new ProviderError(
+      `OpenAI image request failed: ${data.error?.message || response.status}`,
+      502,
+    );
+  }
+
+  return data.data.map((image) => ({
+    buffer: Buffer.from(image.b64_json, "base64"),
+    contentType,
+  }));
+}
+
+export default {
+  name: "openai",
+  models,
+
+  isConfigured() {
+    return Boolean(process.env.OPENAI_API_KEY);
+  },
+
+  generate(model, { prompt, output }, context) {
+    const size = model.sizes[output.aspectRatio];
+    if (model.version === "dall-e-3") {
+      return request(
+        "/generations",
+        {
+          model: model.version,
+          prompt,
+          n: 1,
+          size,
+          response_format: "b64_json",
+        },
+        context,
+      );
+    }
+
+    // gpt-image-1 encodes the requested format itself
+    const format = output.format === "jpg" ? "jpeg" : output.format;
+    return request(
+      "/generations",
+      {
+        model: model.version,
+        prompt,
+        n: 1,
+        size,
+        output_format: format,
+        ...(output.quality && format !== "png"
+          ? { output_compression: output.quality }
+          : {}),
+        ...(output.transparent ? { background: "transparent" } : {}),
+      },
+      context,
+      contentTypeFor(output.format),
+    );
+  },
+
+  async edit(model, { image, mask, prompt }, context) {
+    const { buffer: imageBuffer } = await fetchImage(image);
+    const { buffer: maskBuffer } = await fetchImage(mask);
+    const { width, height } = await sharp(imageBuffer).metadata();
+
+    // OpenAI edits the transparent pixels of the mask, so turn the white
+    // (edit) areas of our masks into alpha = 0
+    const alpha = await sharp(maskBuffer)
+      .resize(width, height)
+      .greyscale()
+      .negate()
+      .toColourspace("b-w")
+      .raw()
+      .toBuffer();
+    const openaiMask = await sharp({
+      create: { width, height, channels: 3, background: "#000000" },
+    })
+      .joinChannel(alpha, { raw: { width, height, channels: 1 } })
+      .png()
+      .toBuffer();
+
+    const form = new FormData();
+    form.append(
+      "image",
+      new Blob([await sharp(imageBuffer).png().toBuffer()], {
+        type: "image/png",
+      }),
+      "image.png",
+    );
+    form.append(
+      "mask",
+      new Blob([openaiMask], { type: "image/png" }),
+      "mask.png",
+    );
+    form.append("prompt", prompt);
+    form.append("model", model.version);
+    return request("/edits", form, context);
+  },
+};
@@ -0,0 +1,146 @@
+import Replicate from "replicate";
+import { fetchImage } from "./shared.js";
+
+const replicate = new Replicate({
+  auth: process.env.REPLICATE_API_TOKEN,
+});
+
+const models = [
+  {
+    id: "flux-dev",
+    label: "FLUX.1 [dev]",
+    capabilities: ["generate"],
+    version: "black-forest-labs/flux-dev",
+    settings: { seed: true, guidance: 3.5, steps: 28 },
+    output: {
+      aspectRatios: [
+        "1:1",
+        "4:5",
+        "5:4",
+        "3:4",
+        "4:3",
+        "2:3",
+        "3:2",
+        "9:16",
+        "16:9",
+        "21:9",
+      ],
+    },
+  },
+  {
+    id: "flux-schnell",
+    label: "FLUX.1 [schnell] (fast drafts)",
+    capabilities: ["generate"],
+    version: "black-forest-labs/flux-schnell",
+    settings: { seed: true, steps: 4 },
+    output: {
+      aspectRatios: [
+        "1:1",
+        "4:5",
+        "5:4",
+        "3:4",
+        "4:3",
+        "2:3",
+        "3:2",
+        "9:16",
+        "16:9",
+        "21:9",
+      ],
+    },
+  },
+  {
+    id: "flux-fill-dev",
+    label: "FLUX.1 Fill [dev]",
+    capabilities: ["edit"],
+    version: "black-forest-labs/flux-fill-dev",
+    settings: { seed: true, guidance: 30, steps: 28 },
+  },
+  {
+    id: "real-esrgan",
+    label: "Real-ESRGAN",
+    capabilities: ["upscale"],
+    version:
+      "nightmareai/real-esrgan:f121d640bd286e1fdc67f9799164c1d5be36ff74576ee11c803ae5b665dd46aa",
+  },
+];
+
+// Prediction logs carry tqdm progress bars such as " 42%|████      |"
+function progressOf(prediction) {
+  if (prediction.status === "starting") return [0.05, "Starting model"];
+  if (prediction.status === "succeeded") return [0.9, "Downloading image"];
+
+  const matches = [...(prediction.logs || "").matchAll(/(\d+)%\|/g)];
+  const percent = matches.length ? Number(matches.at(-1)[1]) : 0;
+  return [0.1 + (percent / 100) * 0.8, "Generating"];
+}
+
+async function run(model, input, { onProgress, signal } = {}) {
+  // Settings a model doesn't take arrive as null and must not be sent
+  const definedInput = Object.fromEntries(
+    Object.entries(input).filter(([, value]) => value != null),
+  );
+  const output = await replicate.run(
+    model.version,
+    {
+      input: definedInput,
+      signal,
+      wait: { mode: "poll", interval: 1000 },
+    },
+    (prediction) => onProgress?.(...progressOf(prediction)),
+  );
+
+  if (signal?.aborted) {
+    throw new Error("Prediction cancelled");
+  }
+
+  // FileOutput objects stringify to their URL
+  const urls = Array.isArray(output) ? output : [output];
+  return Promise.all(urls.map((url) => fetchImage(String(url), signal)));
+}
+
+export default {
+  name: "replicate",
+  models,
+
+  isConfigured() {
+    return Boolean(process.env.REPLICATE_API_TOKEN);
+  },
+
+  generate(model, { prompt, seed, guidance, steps, output }, context) {
+    return run(
+      model,
+      {
+        prompt,
+        seed,
+        guidance,
+        num_inference_steps: steps,
+        aspect_ratio: output.aspectRatio,
+        output_format: output.format,
+        output_quality: output.quality,
+        go_fast: true,
+      },
+      context,
+    );
+  },
+
+  // flux-fill repaints the white areas of the mask and keeps the rest
+  edit(model, { image, mask, prompt, seed, guidance, steps }, context) {
+    return run(
+      model,
+      {
+        image,
+        mask,
+        prompt,
+        seed,
+        guidance,
+        num_inference_steps: steps,
+        output_format: "webp",
+      },
+      context,
+    );
+  },
+
+  upscale(model, { image, scale }, context) {
+    return run(model, { image, scale: scale || 2 }, context);
+  },
+};
@@ -0,0 +1,43 @@
+import sharp from "sharp";
+
+// Helpers shared by every image provider
+
+export class ProviderError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = "ProviderError";
+    this.status = status;
+  }
+}
+
+const contentTypes = {
+  webp: "image/webp",
+  png: "image/png",
+  jpg: "image/jpeg",
+  jpeg: "image/jpeg",
+};
+
+export function contentTypeFor(format) {
+  return contentTypes[format] || "application/octet-stream";
+}
+
+export function extensionFor(contentType) {
+  const entry = Object.entries(contentTypes).find(
+    ([, type]) => type === contentType,
+  );
+  return entry ? entry[0] : "bin";
+}
+
+// Download a provider output so it can be re-hosted in our own storage
+export async function fetchImage(url, signal) {
+  const response = await fetch(url, { signal });
+  if (!response.ok) {
+    throw new Error(`Failed to fetch image: ${response.status}`);
+  }
+  const buffer = Buffer.from(await response.arrayBuffer());
+  // Some hosts don't send a content type, so fall back to the file itself
+  const contentType =
+    response.headers.get("content-type") ||
+    contentTypeFor((await sharp(buffer).metadata()).format);
+  return { buffer, contentType };
+}
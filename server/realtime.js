@@ -0,0 +1,171 @@
+import { ProviderError } from "./providers/index.js";
+
+// Realtime session settings. The server's defaults come from the environment,
+// the client may override any of them per session (or from a project's
+// presets), and /token checks the result before minting the ephemeral key.
+
+export const realtimeOptions = {
+  models: [
+    "gpt-4o-realtime-preview-2024-12-17",
+    "gpt-4o-realtime-preview",
+    "gpt-4o-mini-realtime-preview-2024-12-17",
+    "gpt-4o-mini-realtime-preview",
+  ],
+  voices: [
+    "alloy",
+    "ash",
+    "ballad",
+    "coral",
+    "echo",
+    "sage",
+    "shimmer",
+    "verse",
+  ],
+  // "none" leaves ending the turn to the client, e.g. push-to-talk
+  turnDetection: ["server_vad", "semantic_vad", "none"],
+  eagerness: ["low", "medium", "high", "auto"],
+  modalities: [["audio", "text"], ["text"]],
+  // Transcribes the user's speech for the transcript
+  transcriptionModels: [
+    "whisper-1",
+    "gpt-4o-transcribe",
+    "gpt-4o-mini-transcribe",
+  ],
+  temperature: { minimum: 0.6, maximum: 1.2 },
+  // "webrtc" connects the browser straight to OpenAI; "relay" goes through
+  // this server's WebSocket relay (see relay.js)
+  transports: ["webrtc", "relay"],
+};
+
+const studioPersona = `You are the creative assistant of an image studio. Help the user develop ideas and turn them into images with your tools: generate, edit, upscale and segment images, and build colour palettes. Keep spoken replies short and describe what you are about to do before calling a tool.`;
+
+export function sessionDefaults() {
+  return {
+    transport: process.env.REALTIME_TRANSPORT || "webrtc",
+    model: process.env.REALTIME_MODEL || realtimeOptions.models[0],
+    voice: process.env.REALTIME_VOICE || "verse",
+    instructions: process.env.REALTIME_INSTRUCTIONS || studioPersona,
+    modalities: ["audio", "text"],
+    temperature: 0.8,
+    transcriptionModel: "whisper-1",
+    turnDetection: {
+      type: "server_vad",
+      threshold: 0.5,
+      prefixPaddingMs: 300,
+      silenceDurationMs: 500,
+      eagerness: "auto",
+    },
+  };
+}
+
+function check(condition, message) {
+  if (!condition) {
+    throw new ProviderError(`Invalid session settings: ${message}`);
+  }
+}
+
+function inRange(value, minimum, maximum) {
+  return typeof value === "number" && value >= minimum && value <= maximum;
+}
+
+// The defaults with the given overrides applied, checked against
+// realtimeOptions
+export function resolveSessionSettings(overrides) {
+  const defaults = sessionDefaults();
+  overrides = overrides || {};
+  const settings = {
+    ...defaults,
+    ...overrides,
+    turnDetection: { ...defaults.turnDetection, ...overrides.turnDetection },
+  };
+  const { turnDetection } = settings;
+
+  check(
+    realtimeOptions.transports.includes(settings.transport),
+    `unknown transport ${settings.transport}`,
+  );
+  check(
+    realtimeOptions.models.includes(settings.model),
+    `unknown model ${settings.model}`,
+  );
+  check(
+    realtimeOptions.voices.includes(settings.voice),
+    `unknown voice ${settings.voice}`,
+  );
+  check(typeof settings.instructions === "string", "instructions must be text");
+  check(
+    realtimeOptions.modalities.some(
+      (modalities) =>
+        modalities.length === settings.modalities?.length &&
+        modalities.every((modality) => settings.modalities.includes(modality)),
+    ),
+    'modalities must be ["audio", "text"] or ["text"]',
+  );
+  check(
+    inRange(
+      settings.temperature,
+      realtimeOptions.temperature.minimum,
+      realtimeOptions.temperature.maximum,
+    ),
+    `temperature must be between ${realtimeOptions.temperature.minimum} and ${realtimeOptions.temperature.maximum}`,
+  );
+  check(
+    realtimeOptions.transcriptionModels.includes(settings.transcriptionModel),
+    `unknown transcription model ${settings.transcriptionModel}`,
+  );
+  check(
+    realtimeOptions.turnDetection.includes(turnDetection.type),
+    `unknown turn detection ${turnDetection.type}`,
+  );
+  if (turnDetection.type === "server_vad") {
+    check(
+      inRange(turnDetection.threshold, 0, 1),
+      "threshold must be between 0 and 1",
+    );
+    check(
+      inRange(turnDetection.prefixPaddingMs, 0, 2000),
+      "prefix padding must be between 0 and 2000 ms",
+    );
+    check(
+      inRange(turnDetection.silenceDurationMs, 0, 5000),
+      "silence duration must be between 0 and 5000 ms",
+    );
+  }
+  if (turnDetection.type === "semantic_vad") {
+    check(
+      realtimeOptions.eagerness.includes(turnDetection.eagerness),
+      `unknown eagerness ${turnDetection.eagerness}`,
+    );
+  }
+
+  return settings;
+}
+
+function turnDetectionRequest(turnDetection) {
+  switch (turnDetection.type) {
+    case "server_vad":
+      return {
+        type: "server_vad",
+        threshold: turnDetection.threshold,
+        prefix_padding_ms: turnDetection.prefixPaddingMs,
+        silence_duration_ms: turnDetection.silenceDurationMs,
+      };
+    case "semantic_vad":
+      return { type: "semantic_vad", eagerness: turnDetection.eagerness };
+    default:
+      return null;
+  }
+}
+
+// The body of POST /v1/realtime/sessions
+export function sessionRequest(settings) {
+  return {
+    model: settings.model,
+    voice: settings.voice,
+    instructions: settings.instructions,
+    modalities: settings.modalities,
+    temperature: settings.temperature,
+    input_audio_transcription: { model: settings.transcriptionModel },
+    turn_detection: turnDetectionRequest(settings.turnDetection),
+  };
+}
@@ -0,0 +1,171 @@
+import { WebSocket, WebSocketServer } from "ws";
+import { resolveSessionSettings, sessionRequest } from "./realtime.js";
+
+// Relays a realtime session between a browser WebSocket on /realtime and the
+// Realtime API, as an alternative to the browser's direct WebRTC connection.
+// The browser's first message is
+// { type: "relay.connect", settings, accessToken }. The relay answers
+// { type: "relay.ready" } once the upstream session is open, or
+// { type: "relay.error", error } and closes. After that, events pass through
+// unchanged in both directions.
+//
+// REALTIME_URL points the relay at another realtime server, such as a local
+// fake in tests. authenticate(accessToken) resolves to the signed-in user or
+// null. admit(user, settings) may refuse the session by throwing, with the
+// error's message sent back, and what it resolves to is kept as the
+// session's admission. onEvent(direction, event, user) sees every event that
+// passes, with direction "client" or "server", and
+// onSessionEnd(user, settings, durationMs, admission) is told once when an
+// admitted session is over, with a null durationMs if the upstream session
+// never opened.
+
+const relayPath = "/realtime";
+
+function upstreamUrl(model) {
+  const base = process.env.REALTIME_URL || "wss://api.openai.com/v1/realtime";
+  return `${base}?model=${encodeURIComponent(model)}`;
+}
+
+function relaySession(browser, { authenticate, admit, onEvent, onSessionEnd }) {
+  let upstream = null;
+  let user = null;
+  let connecting = false;
+  let openedAt = null;
+  let ended = false;
+
+  // A failing observer must not break the session
+  const observe = (direction, event) => {
+    try {
+      onEvent?.(direction, event, user);
+    } catch (error) {
+      console.error("Realtime relay observer error:", error);
+    }
+  };
+
+  const fail = (error) => {
+    browser.send(JSON.stringify({ type: "relay.error", error }));
+    browser.close();
+  };
+
+  async function open(overrides) {
+    let settings;
+    let admission;
+    try {
+      settings = resolveSessionSettings(overrides);
+      admission = await admit?.(user, settings);
+    } catch (error) {
+      return fail(error.message);
+    }
+
+    const end = () => {
+      if (ended) return;
+      ended = true;
+      const durationMs = openedAt ? Date.now() - openedAt : null;
+      Promise.resolve(
+        onSessionEnd?.(user, settings, durationMs, admission),
+      ).catch((error) => console.error("Realtime relay end error:", error));
+    };
+
+    // The browser may have left in the meantime
+    if (browser.readyState !== WebSocket.OPEN) return end();
+
+    try {
+      upstream = new WebSocket(upstreamUrl(settings.model), {
+        headers: {
+          Authorization: `Bearer ${process.env.OPENAI_API_KEY}`,
+          "OpenAI-Beta": "realtime=v1",
+        },
+      });
+    } catch (error) {
+      // A malformed REALTIME_URL throws here rather than emitting "error"
+      console.error("Realtime relay upstream error:", error);
+      end();
+      return fail("Could not reach the realtime server");
+    }
+
+    upstream.on("open", () => {
+      openedAt = Date.now();
+      // The model is chosen by the URL; the rest is set on the session
+      const { model, ...session } = sessionRequest(settings);
+      const update = { type: "session.update", session };
+      observe("client", update);
+      upstream.send(JSON.stringify(update));
+      browser.send(JSON.stringify({ type: "relay.ready", model }));
+    });
+    upstream.on("message", (data) => {
+      const text = data.toString();
+      try {
+        observe("server", JSON.parse(text));
+      } catch {
+        console.error("Realtime relay received a non-JSON event");
+      }
+      browser.send(text);
+    });
+    upstream.on("error", (error) => {
+      console.error("Realtime relay upstream error:", error);
+      fail("Could not reach the realtime server");
+    });
+    upstream.on("close", () => {
+      end();
+      browser.close();
+    });
+  }
+
+  async function connect({ settings, accessToken }) {
+    connecting = true;
+    try {
+      user = await authenticate(accessToken);
+    } catch (error) {
+      console.error("Realtime relay sign-in error:", error);
+      return fail("Could not check the sign-in");
+    }
+    if (!user) {
+      return fail("Sign in to use the studio");
+    }
+    return open(settings);
+  }
+
+  browser.on("message", (data) => {
+    let event;
+    try {
+      event = JSON.parse(data.toString());
+    } catch {
+      return fail("Events must be JSON");
+    }
+
+    if (!upstream) {
+      if (connecting) return;
+      if (event.type !== "relay.connect") {
+        return fail("The first message must be relay.connect");
+      }
+      return connect(event).catch((error) => {
+        console.error("Realtime relay error:", error);
+        fail("Could not start the realtime session");
+      });
+    }
+
+    if (upstream.readyState === WebSocket.OPEN) {
+      // Audio chunks are too many and too large to be worth observing
+      if (event.type !== "input_audio_buffer.append") {
+        observe("client", event);
+      }
+      upstream.send(JSON.stringify(event));
+    }
+  });
+  browser.on("close", () => upstream?.close());
+}
+
+// Handles WebSocket upgrades to /realtime on the given HTTP server; other
+// upgrades are left to whoever else listens for them
+export function attachRealtimeRelay(server, options = {}) {
+  const wss = new WebSocketServer({ noServer: true });
+
+  server.on("upgrade", (request, socket, head) => {
+    const { pathname } = new URL(request.url, "http://localhost");
+    if (pathname !== relayPath) return;
+
+    wss.handleUpgrade(request, socket, head, (browser) =>
+      relaySession(browser, options),
+    );
+  });
+}
@@ -0,0 +1,148 @@
+import http from "node:http";
+import { afterEach, describe, expect, it, vi } from "vitest";
+import { WebSocket, WebSocketServer } from "ws";
+import { attachRealtimeRelay } from "./relay.js";
+
+const servers = [];
+
+function listen(server) {
+  servers.push(server);
+  return new Promise((resolve) =>
+    server.listen(0, () => resolve(server.address().port)),
+  );
+}
+
+// Connects a browser to a relay with `options` and resolves to the messages
+// it got once the relay closes it
+async function relayed(options, { events = [] } = {}) {
+  const server = http.createServer();
+  attachRealtimeRelay(server, options);
+  const port = await listen(server);
+
+  const browser = new WebSocket(`ws://localhost:${port}/realtime`);
+  const messages = [];
+  browser.on("open", () => {
+    browser.send(
+      JSON.stringify({
+        type: "relay.connect",
+        settings: {},
+        accessToken: "token",
+      }),
+    );
+  });
+  browser.on("message", (data) => {
+    const message = JSON.parse(data.toString());
+    messages.push(message);
+    if (message.type === "relay.ready") {
+      events.forEach((event) => browser.send(JSON.stringify(event)));
+    }
+  });
+  await new Promise((resolve) => browser.on("close", resolve));
+  return messages;
+}
+
+afterEach(() => {
+  vi.restoreAllMocks();
+  vi.unstubAllEnvs();
+  servers.splice(0).forEach((server) => server.close());
+});
+
+const user = { id: "user" };
+
+describe("realtime relay", () => {
+  it("passes events both ways once the upstream session is open", async () => {
+    const upstream = new WebSocketServer({ port: 0 });
+    servers.push(upstream);
+    await new Promise((resolve) => upstream.on("listening", resolve));
+    vi.stubEnv("REALTIME_URL", `ws://localhost:${upstream.address().port}`);
+
+    const received = [];
+    upstream.on("connection", (socket) => {
+      socket.on("message", (data) => {
+        const event = JSON.parse(data.toString());
+        received.push(event.type);
+        if (event.type === "response.create") {
+          socket.send(JSON.stringify({ type: "response.done" }));
+          socket.close();
+        }
+      });
+    });
+    const onEvent = vi.fn();
+    const onSessionEnd = vi.fn();
+    const admission = { id: "reservation" };
+
+    const messages = await relayed(
+      {
+        authenticate: async () => user,
+        admit: async () => admission,
+        onEvent,
+        onSessionEnd,
+      },
+      { events: [{ type: "response.create" }] },
+    );
+    expect(messages.map((message) => message.type)).toEqual([
+      "relay.ready",
+      "response.done",
+    ]);
+    expect(received).toEqual(["session.update", "response.create"]);
+    expect(onEvent).toHaveBeenCalledWith(
+      "server",
+      { type: "response.done" },
+      user,
+    );
+    expect(onSessionEnd).toHaveBeenCalledWith(
+      user,
+      expect.objectContaining({ model: messages[0].model }),
+      expect.any(Number),
+      admission,
+    );
+  });
+
+  it("refuses a browser that isn't signed in", async () => {
+    expect(await relayed({ authenticate: async () => null })).toEqual([
+      { type: "relay.error", error: "Sign in to use the studio" },
+    ]);
+  });
+
+  it("reports a sign-in that can't be checked", async () => {
+    const authenticate = async () => {
+      throw new Error("Auth backend unavailable");
+    };
+    vi.spyOn(console, "error").mockImplementation(() => {});
+    expect(await relayed({ authenticate })).toEqual([
+      { type: "relay.error", error: "Could not check the sign-in" },
+    ]);
+  });
+
+  it("sends the reason a session isn't admitted", async () => {
+    const admit = async () => {
+      throw new Error("The daily quota is used up");
+    };
+    expect(await relayed({ authenticate: async () => user, admit })).toEqual([
+      { type: "relay.error", error: "The daily quota is used up" },
+    ]);
+  });
+
+  it("reports a realtime server it can't connect to", async () => {
+    vi.stubEnv("REALTIME_URL", "not a url");
+    vi.spyOn(console, "error").mockImplementation(() => {});
+    const admission = { id: "reservation" };
+    const onSessionEnd = vi.fn();
+    const messages = await relayed({
+      authenticate: async () => user,
+      admit: async () => admission,
+      onSessionEnd,
+    });
+    expect(messages).toEqual([
+      { type: "relay.error", error: "Could not reach the realtime server" },
+    ]);
+    // The admission is still given back, with no session to record
+    expect(onSessionEnd).toHaveBeenCalledOnce();
+    expect(onSessionEnd).toHaveBeenCalledWith(
+      user,
+      expect.any(Object),
+      null,
+      admission,
+    );
+  });
+});
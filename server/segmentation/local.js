@@ -0,0 +1,72 @@
+import sharp from "sharp";
+
+// Offline stand-in for point prompts: grows a region of similar colour out
+// from each clicked pixel, on a downscaled copy of the image. Good enough to
+// develop the click-to-segment flow without a Segmind key.
+
+const workingWidth = 256;
+const tolerance = 48;
+
+function grow(pixels, width, height, [startX, startY], region) {
+  const seed = (startY * width + startX) * 3;
+  const seen = new Uint8Array(width * height);
+  const queue = [[startX, startY]];
+
+  while (queue.length > 0) {
+    const [x, y] = queue.pop();
+    if (x < 0 || y < 0 || x >= width || y >= height) continue;
+    const index = y * width + x;
+    if (seen[index]) continue;
+    seen[index] = 1;
+
+    const offset = index * 3;
+    const distance = Math.hypot(
+      pixels[offset] - pixels[seed],
+      pixels[offset + 1] - pixels[seed + 1],
+      pixels[offset + 2] - pixels[seed + 2],
+    );
+    if (distance > tolerance) continue;
+
+    region[index] = 1;
+    queue.push([x + 1, y], [x - 1, y], [x, y + 1], [x, y - 1]);
+  }
+}
+
+// Points are pixel coordinates in the full-size image. Resolves to a
+// white-on-black PNG mask at the image's own size.
+export async function segmentPoints(imageBuffer, { include, exclude }) {
+  const { width: fullWidth, height: fullHeight } =
+    await sharp(imageBuffer).metadata();
+  const scale = Math.min(1, workingWidth / fullWidth);
+  const width = Math.round(fullWidth * scale);
+  const height = Math.round(fullHeight * scale);
+  const pixels = await sharp(imageBuffer)
+    .resize(width, height)
+    .removeAlpha()
+    .raw()
+    .toBuffer();
+
+  const toWorking = ([x, y]) => [
+    Math.min(width - 1, Math.round(x * scale)),
+    Math.min(height - 1, Math.round(y * scale)),
+  ];
+
+  const included = new Uint8Array(width * height);
+  include.forEach((point) =>
+    grow(pixels, width, height, toWorking(point), included),
+  );
+  const excluded = new Uint8Array(width * height);
+  exclude.forEach((point) =>
+    grow(pixels, width, height, toWorking(point), excluded),
+  );
+
+  const mask = Buffer.alloc(width * height);
+  included.forEach((value, index) => {
+    mask[index] = value && !excluded[index] ? 255 : 0;
+  });
+
+  return sharp(mask, { raw: { width, height, channels: 1 } })
+    .resize(fullWidth, fullHeight)
+    .png()
+    .toBuffer();
+}
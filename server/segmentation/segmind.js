@@ -0,0 +1,31 @@
+import axios from "axios";
+
+// Segmind's SAM 2 endpoint segments the object under the given pixel
+// coordinates and answers with the mask image itself. It takes points only,
+// so segments.js clips the result when a box was drawn.
+export async function segmentPoints(
+  imageBase64,
+  { include, exclude },
+  { signal } = {},
+) {
+  const response = await axios.post(
+    "https://api.segmind.com/v1/sam-v2-image",
+    {
+      image: imageBase64,
+      coordinates: JSON.stringify(include),
+      remove_coordinates: JSON.stringify(exclude),
+      overlay_mask: false,
+      base64: false,
+    },
+    {
+      headers: {
+        "x-api-key": process.env.SEGMIND_API_KEY,
+        "Content-Type": "application/json",
+      },
+      responseType: "arraybuffer",
+      timeout: 60000,
+      signal,
+    },
+  );
+  return Buffer.from(response.data);
+}
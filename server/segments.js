@@ -0,0 +1,267 @@
+import axios from "axios";
+import sharp from "sharp";
+import { ProviderError } from "./providers/index.js";
+import * as localSegmenter from "./segmentation/local.js";
+import * as segmindSegmenter from "./segmentation/segmind.js";
+import storage, { isStoredUrl } from "./storage/index.js";
+import { meter } from "./usage/index.js";
+
+async function imageUrlToBase64(imageUrl, signal) {
+  try {
+    const response = await axios.get(imageUrl, {
+      responseType: "arraybuffer",
+      maxContentLength: 50 * 1024 * 1024, // 50MB max
+      timeout: 30000, // 30 seconds timeout
+      signal,
+    });
+    return Buffer.from(response.data).toString("base64");
+  } catch (error) {
+    console.error("Error fetching image:", error.message);
+    throw new Error(`Failed to fetch image: ${error.message}`);
+  }
+}
+
+async function storeMask(maskUrl, filename, { signal, owner }) {
+  const maskBuffer = await (await fetch(maskUrl, { signal })).arrayBuffer();
+  return storage.upload(
+    "masks",
+    filename,
+    Buffer.from(maskBuffer),
+    "image/png",
+    owner,
+  );
+}
+
+const maxSeed = 2 ** 31 - 1;
+
+export function checkSegment({ currentImageUrl, points, box, seed, mock }) {
+  if (!currentImageUrl) {
+    throw new ProviderError("No image URL provided");
+  }
+  if (!isStoredUrl(currentImageUrl, ["images", "masks"])) {
+    throw new ProviderError("The image must be one stored by the studio");
+  }
+  if (
+    seed != null &&
+    !(Number.isInteger(seed) && seed >= 0 && seed <= maxSeed)
+  ) {
+    throw new ProviderError(`seed must be a whole number from 0 to ${maxSeed}`);
+  }
+  if (points?.length || box) {
+    checkRegion(points, box);
+  }
+  return { units: 1, model: segmenterFor({ points, box, mock }).model };
+}
+
+// The endpoint a segmentation runs on, as it is metered and priced. Regions
+// use Segmind's SAM 2 when there is a key and the local segmenter otherwise.
+function segmenterFor({ points, box, mock }) {
+  if (!points?.length && !box && !mock) {
+    return { provider: "segmind", model: "automatic-mask-generator" };
+  }
+  return !mock && process.env.SEGMIND_API_KEY
+    ? { provider: "segmind", model: "sam-v2-image" }
+    : { provider: "local", model: "local-segmenter" };
+}
+
+// Where a mock segmentation of a text prompt looks: a point in the middle
+// half of the image, picked from the seed
+function mockPoint(seed = 0) {
+  return {
+    x: 0.25 + (seed & 0x7fff) / 0x7fff / 2,
+    y: 0.25 + ((seed >>> 15) & 0x7fff) / 0x7fff / 2,
+  };
+}
+
+// Segment the objects matching `prompt` with Segmind's automatic mask
+// generator, or the object under `points` / inside `box` (see
+// segmentRegion), and store the masks, resolving to
+// { combined_mask, individual_masks } URLs in the owner's storage. `seed`
+// makes a prompt's masks repeatable. `mock` keeps everything on the local
+// segmenter, with a prompt standing in for the object under a point picked
+// from the seed, so replays cost nothing and come out the same every time.
+export async function segmentImage(
+  { currentImageUrl, prompt, points, box, seed, mock },
+  { onProgress, signal, owner } = {},
+) {
+  checkSegment({ currentImageUrl, points, box, seed });
+  if (points?.length || box || mock) {
+    return segmentRegion(
+      {
+        currentImageUrl,
+        points: points?.length || box ? points : [mockPoint(seed)],
+        box,
+        mock,
+      },
+      { onProgress, signal, owner },
+    );
+  }
+
+  onProgress?.(0.1, "Fetching image");
+  const imageBase64 = await imageUrlToBase64(currentImageUrl, signal);
+  const segmentPrompt = prompt || "object";
+
+  onProgress?.(0.3, "Finding segments");
+  const call = { owner, ...segmenterFor({}), operation: "segment" };
+  const response = await meter(call, () =>
+    axios.post(
+      "https://api.segmind.com/v1/automatic-mask-generator",
+      {
+        prompt: segmentPrompt,
+        image: imageBase64,
+        threshold: 0.2,
+        invert_mask: false,
+        return_mask: true,
+        grow_mask: 10,
+        seed: seed ?? Math.floor(Math.random() * 1000000),
+        base64: false,
+      },
+      {
+        headers: {
+          "x-api-key": process.env.SEGMIND_API_KEY,
+          "Content-Type": "application/json",
+        },
+        timeout: 30000, // 30 seconds timeout
+        signal,
+      },
+    ),
+  );
+
+  if (!response.data || !response.data.combined_mask) {
+    throw new Error("Invalid response from Segmind API");
+  }
+
+  // Store combined and individual masks
+  onProgress?.(0.8, "Storing masks");
+  const timestamp = Date.now();
+  const combinedMaskUrl = await storeMask(
+    response.data.combined_mask,
+    `mask_combined_${timestamp}.png`,
+    { signal, owner },
+  );
+
+  const individualMaskUrls = await Promise.all(
+    (response.data.masks || []).map((maskUrl, index) =>
+      storeMask(maskUrl, `mask_individual_${timestamp}_${index}.png`, {
+        signal,
+        owner,
+      }),
+    ),
+  );
+
+  // Return our stored URLs instead of the original URLs
+  return {
+    combined_mask: combinedMaskUrl,
+    individual_masks: individualMaskUrls,
+  };
+}
+
+function isFraction(value) {
+  return typeof value === "number" && value >= 0 && value <= 1;
+}
+
+// Points are { x, y, exclude? } and boxes { x, y, width, height }, all as
+// fractions of the image size so the client doesn't need its pixel size
+function checkRegion(points = [], box) {
+  if (!Array.isArray(points)) {
+    throw new ProviderError("points must be an array");
+  }
+  points.forEach((point) => {
+    if (!isFraction(point?.x) || !isFraction(point?.y)) {
+      throw new ProviderError("Point coordinates must be between 0 and 1");
+    }
+  });
+  if (box && ![box.x, box.y, box.width, box.height].every(isFraction)) {
+    throw new ProviderError("Box coordinates must be between 0 and 1");
+  }
+  if (!points.some((point) => !point.exclude) && !box) {
+    throw new ProviderError("At least one point that isn't excluded is needed");
+  }
+}
+
+// Keep only the part of a mask inside the box
+async function clipToBox(maskBuffer, box, width, height) {
+  const left = Math.round(box.x * width);
+  const top = Math.round(box.y * height);
+  const boxWidth = Math.max(1, Math.round(box.width * width));
+  const boxHeight = Math.max(1, Math.round(box.height * height));
+  const inside = await sharp({
+    create: {
+      width: boxWidth,
+      height: boxHeight,
+      channels: 3,
+      background: "#ffffff",
+    },
+  })
+    .png()
+    .toBuffer();
+  const frame = await sharp({
+    create: { width, height, channels: 3, background: "#000000" },
+  })
+    .composite([{ input: inside, left, top }])
+    .png()
+    .toBuffer();
+
+  return sharp(maskBuffer)
+    .resize(width, height)
+    .removeAlpha()
+    .composite([{ input: frame, blend: "multiply" }])
+    .greyscale()
+    .png()
+    .toBuffer();
+}
+
+// Segment the object under the clicked points or inside the drawn box. A box
+// without points is segmented from its centre and clipped to the box.
+async function segmentRegion(
+  { currentImageUrl, points = [], box, mock },
+  { onProgress, signal, owner } = {},
+) {
+  checkRegion(points, box);
+
+  onProgress?.(0.1, "Fetching image");
+  const imageBase64 = await imageUrlToBase64(currentImageUrl, signal);
+  const imageBuffer = Buffer.from(imageBase64, "base64");
+  const { width, height } = await sharp(imageBuffer).metadata();
+
+  const toPixels = ({ x, y }) => [
+    Math.round(x * width),
+    Math.round(y * height),
+  ];
+  const include = points.filter((point) => !point.exclude).map(toPixels);
+  const exclude = points.filter((point) => point.exclude).map(toPixels);
+  if (include.length === 0) {
+    include.push(
+      toPixels({ x: box.x + box.width / 2, y: box.y + box.height / 2 }),
+    );
+  }
+
+  onProgress?.(0.3, "Finding the selected object");
+  const call = {
+    owner,
+    ...segmenterFor({ points, box, mock }),
+    operation: "segment",
+  };
+  let mask = await meter(call, () =>
+    call.provider === "segmind"
+      ? segmindSegmenter.segmentPoints(
+          imageBase64,
+          { include, exclude },
+          { signal },
+        )
+      : localSegmenter.segmentPoints(imageBuffer, { include, exclude }),
+  );
+  if (box) {
+    mask = await clipToBox(mask, box, width, height);
+  }
+
+  onProgress?.(0.8, "Storing mask");
+  const url = await storage.upload(
+    "masks",
+    `mask_region_${Date.now()}.png`,
+    await sharp(mask).greyscale().toColourspace("b-w").png().toBuffer(),
+    "image/png",
+    owner,
+  );
+  return { combined_mask: url, individual_masks: [url] };
+}
@@ -0,0 +1,44 @@
+import createLocalStorage from "./local.js";
+import createSupabaseStorage from "./supabase.js";
+
+export { uploadsDir } from "./local.js";
+
+// STORAGE_BACKEND picks the backend; without it we use Supabase when a
+// project is configured and fall back to the local uploads directory.
+function selectBackend() {
+  const backend =
+    process.env.STORAGE_BACKEND ||
+    (process.env.SUPABASE_URL ? "supabase" : "local");
+
+  switch (backend) {
+    case "supabase":
+      return createSupabaseStorage();
+    case "local":
+      return createLocalStorage();
+    default:
+      throw new Error(`Unknown STORAGE_BACKEND: ${backend}`);
+  }
+}
+
+// Both backends expose upload(bucket, filename, buffer, contentType, owner)
+// resolving to an absolute public URL, plus publicUrl() and remove(). Objects
+// go under a prefix per owner (a user id), so each user's files stay apart.
+const storage = selectBackend();
+
+export default storage;
+
+// Whether `url` is one of this backend's public URLs in one of `buckets`.
+// Every request that has the server fetch an image by URL (edits, upscales,
+// segmentation, mask composition and palettes) is checked against it, so the
+// server can't be pointed at arbitrary hosts.
+export function isStoredUrl(url, buckets) {
+  let href;
+  try {
+    href = new URL(url).href;
+  } catch {
+    return false;
+  }
+  return buckets.some((bucket) =>
+    href.startsWith(storage.publicUrl(bucket, "")),
+  );
+}
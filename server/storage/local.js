@@ -0,0 +1,46 @@
+import fs from "fs";
+import path from "path";
+
+export const uploadsDir = path.join(process.cwd(), "uploads");
+
+// Stores objects under uploads/<bucket>/<owner>/, served by the /uploads
+// static mount
+export default function createLocalStorage() {
+  const baseUrl =
+    process.env.PUBLIC_URL || `http://localhost:${process.env.PORT || 3000}`;
+
+  function filePath(bucket, filename) {
+    // Keep callers from escaping the bucket directory
+    const target = path.join(uploadsDir, bucket, filename);
+    if (!target.startsWith(path.join(uploadsDir, bucket) + path.sep)) {
+      throw new Error(`Invalid storage path: ${bucket}/${filename}`);
+    }
+    return target;
+  }
+
+  function publicUrl(bucket, filename) {
+    return `${baseUrl}/uploads/${bucket}/${filename}`;
+  }
+
+  return {
+    name: "local",
+    publicUrl,
+
+    async upload(bucket, filename, buffer, contentType, owner) {
+      if (!owner) throw new Error("Stored objects need an owner");
+      filename = `${owner}/${filename}`;
+      const target = filePath(bucket, filename);
+      await fs.promises.mkdir(path.dirname(target), { recursive: true });
+      await fs.promises.writeFile(target, buffer, { flag: "wx" });
+      return publicUrl(bucket, filename);
+    },
+
+    async remove(bucket, filenames) {
+      await Promise.all(
+        filenames.map((filename) =>
+          fs.promises.rm(filePath(bucket, filename), { force: true }),
+        ),
+      );
+    },
+  };
+}
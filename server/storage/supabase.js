@@ -0,0 +1,39 @@
+import getSupabase from "../supabase.js";
+
+// Stores objects in public Supabase Storage buckets under <owner>/, tagged
+// with the owner in their metadata (see supabase/migrations for the policies)
+export default function createSupabaseStorage() {
+  const supabase = getSupabase();
+
+  function publicUrl(bucket, filename) {
+    const {
+      data: { publicUrl },
+    } = supabase.storage.from(bucket).getPublicUrl(filename);
+    return publicUrl;
+  }
+
+  return {
+    name: "supabase",
+    publicUrl,
+
+    async upload(bucket, filename, buffer, contentType, owner) {
+      if (!owner) throw new Error("Stored objects need an owner");
+      filename = `${owner}/${filename}`;
+      const { error } = await supabase.storage
+        .from(bucket)
+        .upload(filename, buffer, {
+          contentType,
+          cacheControl: "3600",
+          metadata: { owner },
+        });
+
+      if (error) throw error;
+      return publicUrl(bucket, filename);
+    },
+
+    async remove(bucket, filenames) {
+      const { error } = await supabase.storage.from(bucket).remove(filenames);
+      if (error) throw error;
+    },
+  };
+}
@@ -0,0 +1,25 @@
+import { createClient } from "@supabase/supabase-js";
+
+let client;
+
+// Shared Supabase client, created on first use so the studio can run without
+// a Supabase project when only local backends are selected. Row level
+// security keeps the anon key out of other users' rows, so the server uses
+// the service role key and checks ownership itself.
+export default function getSupabase() {
+  if (!client) {
+    client = createClient(
+      process.env.SUPABASE_URL,
+      process.env.SUPABASE_SERVICE_ROLE_KEY || process.env.SUPABASE_ANON_KEY,
+    );
+  }
+  return client;
+}
+
+// A client of its own for a single Supabase Auth call, so a signed-in
+// session never ends up on the shared client
+export function createAuthClient() {
+  return createClient(process.env.SUPABASE_URL, process.env.SUPABASE_ANON_KEY, {
+    auth: { persistSession: false, autoRefreshToken: false },
+  });
+}
@@ -0,0 +1,67 @@
+import { upscaleImages } from "./images.js";
+import { composeMasks } from "./masks.js";
+import { extractPalette } from "./palette.js";
+import { ProviderError } from "./providers/index.js";
+
+// Handlers for studio tools declared with handler: "server" in client/tools.
+// Each receives the call arguments, the client's studio context and the
+// signed-in user, and resolves with the function output for the model.
+export const serverToolHandlers = {
+  async upscale_image({ scale = 2, model }, { currentImageUrl }, user) {
+    if (!currentImageUrl) {
+      throw new ProviderError("There is no image to upscale yet");
+    }
+
+    const [image] = await upscaleImages(
+      { imageUrl: currentImageUrl, scale, model },
+      { owner: user.id },
+    );
+    return { image_url: image.url, model: image.model };
+  },
+
+  // Segments are numbered as in create_image_mask's output. The composition
+  // starts from the chosen segment, or the combined mask.
+  async compose_mask({ start, operations }, { currentMasks }, user) {
+    if (!currentMasks) {
+      throw new ProviderError(
+        "There is no mask yet, create one with create_image_mask first",
+      );
+    }
+
+    const masks = [
+      currentMasks.combined_mask,
+      ...currentMasks.individual_masks,
+    ];
+    const segmentCount = currentMasks.individual_masks.length;
+    [start, ...operations.map((operation) => operation.segment)].forEach(
+      (segment) => {
+        if (segment !== undefined && segment >= segmentCount) {
+          throw new ProviderError(
+            `Segment ${segment} does not exist, the mask has ${segmentCount} segments`,
+          );
+        }
+      },
+    );
+
+    const url = await composeMasks(
+      {
+        masks: [start === undefined ? masks[0] : masks[start + 1], ...masks],
+        operations: operations.map(({ op, segment, pixels }) => ({
+          op,
+          pixels,
+          // Index 0 is the starting mask, 1 the combined mask, 2+ the segments
+          mask: segment === undefined ? 1 : segment + 2,
+        })),
+      },
+      { owner: user.id },
+    );
+    return { mask_url: url };
+  },
+
+  async extract_palette_from_image({ count, method }, { currentImageUrl }) {
+    if (!currentImageUrl) {
+      throw new ProviderError("There is no image to take colours from yet");
+    }
+    return extractPalette({ imageUrl: currentImageUrl, count, method });
+  },
+};
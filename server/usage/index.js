@@ -0,0 +1,352 @@
+import { ProviderError } from "../providers/shared.js";
+import createLocalUsageStore from "./local.js";
+import { estimateCost } from "./pricing.js";
+import createSupabaseUsageStore from "./supabase.js";
+
+// Metering for every call that costs money: realtime sessions, image model
+// runs and segmentation. Each successful call is recorded for its user with
+// its duration and estimated cost (see pricing.js), and calls are refused
+// with a 429 once a user goes over a quota or the request rate limit.
+
+// USAGE_STORE picks the backend, defaulting the same way as storage
+function selectStore() {
+  const backend =
+    process.env.USAGE_STORE ||
+    (process.env.SUPABASE_URL ? "supabase" : "local");
+
+  switch (backend) {
+    case "supabase":
+      return createSupabaseUsageStore();
+    case "local":
+      return createLocalUsageStore();
+    default:
+      throw new Error(`Unknown USAGE_STORE: ${backend}`);
+  }
+}
+
+// Both stores keep records { userId, provider, model, operation, units,
+// durationMs, cost, createdAt } and list a user's (or everyone's) since a
+// given ISO time
+const store = selectStore();
+
+export const operations = [
+  "realtime",
+  "generate",
+  "edit",
+  "upscale",
+  "segment",
+];
+
+export class UsageLimitError extends ProviderError {
+  constructor(message, retryAfter) {
+    super(message, 429);
+    this.name = "UsageLimitError";
+    // Seconds until the call may succeed
+    this.retryAfter = retryAfter;
+  }
+}
+
+// Quotas per user and period, as JSON in USAGE_QUOTAS, limiting the estimated
+// cost in USD and/or the units of any operation, e.g.
+//   {"daily": {"cost": 2, "generate": 50}, "monthly": {"cost": 20}}
+function configuredQuotas() {
+  if (!process.env.USAGE_QUOTAS) return {};
+
+  let quotas;
+  try {
+    quotas = JSON.parse(process.env.USAGE_QUOTAS);
+  } catch (error) {
+    throw new Error(`USAGE_QUOTAS is not valid JSON: ${error.message}`);
+  }
+  Object.entries(quotas).forEach(([period, limits]) => {
+    if (!periods[period]) {
+      throw new Error(`USAGE_QUOTAS has an unknown period: ${period}`);
+    }
+    Object.entries(limits).forEach(([key, limit]) => {
+      if (key !== "cost" && !operations.includes(key)) {
+        throw new Error(`USAGE_QUOTAS has an unknown limit: ${key}`);
+      }
+      if (typeof limit !== "number" || limit < 0) {
+        throw new Error(`USAGE_QUOTAS ${period}.${key} must be a number`);
+      }
+    });
+  });
+  return quotas;
+}
+
+// Periods run in UTC and resolve to the [start, end) around `now`
+const periods = {
+  daily: (now) => {
+    const start = Date.UTC(
+      now.getUTCFullYear(),
+      now.getUTCMonth(),
+      now.getUTCDate(),
+    );
+    return [new Date(start), new Date(start + 24 * 60 * 60 * 1000)];
+  },
+  monthly: (now) => [
+    new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1)),
+    new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1)),
+  ],
+};
+
+const quotas = configuredQuotas();
+
+// USAGE_RATE_LIMIT metered requests a minute per user; 0 turns it off
+const rateLimit = Number(process.env.USAGE_RATE_LIMIT ?? 30);
+const rateWindowMs = 60 * 1000;
+const recentRequests = new Map();
+
+// Calls, units per operation, estimated cost and time spent in some records
+function tally(records) {
+  const units = Object.fromEntries(
+    operations.map((operation) => [operation, 0]),
+  );
+  let cost = 0;
+  let durationMs = 0;
+  records.forEach((record) => {
+    units[record.operation] = (units[record.operation] || 0) + record.units;
+    cost += record.cost;
+    durationMs += record.durationMs || 0;
+  });
+  return { calls: records.length, units, cost, durationMs };
+}
+
+function groupBy(records, key) {
+  const groups = new Map();
+  records.forEach((record) => {
+    groups.set(record[key], [...(groups.get(record[key]) || []), record]);
+  });
+  return [...groups.entries()]
+    .map(([value, group]) => ({ [key]: value, ...tally(group) }))
+    .sort((a, b) => b.cost - a.cost || b.calls - a.calls);
+}
+
+// The user's usage in the current day and month, with the quotas that apply:
+// { daily: { start, end, used, limits }, monthly: { ... } }
+export async function usageFor(userId) {
+  const now = new Date();
+  const bounds = Object.fromEntries(
+    Object.entries(periods).map(([period, range]) => [period, range(now)]),
+  );
+  const records = await store.list({
+    userId,
+    since: bounds.monthly[0].toISOString(),
+  });
+
+  return Object.fromEntries(
+    Object.entries(bounds).map(([period, [start, end]]) => [
+      period,
+      {
+        start: start.toISOString(),
+        end: end.toISOString(),
+        used: tally(
+          records.filter((record) => record.createdAt >= start.toISOString()),
+        ),
+        limits: quotas[period] || {},
+      },
+    ]),
+  );
+}
+
+// Units and cost held for calls that passed the quota check but aren't
+// recorded yet, as a Set of { operation, units, cost } per user. They count
+// against the quotas like recorded usage, so requests sent side by side can't
+// all slip under the same limit. This covers one server process.
+const reservations = new Map();
+
+function reservedFor(userId) {
+  return reservations.get(userId) || new Set();
+}
+
+// Quota checks and the records that settle reservations run one at a time
+// per user, so a check never reads the store between a call being recorded
+// and its reservation being dropped
+const locks = new Map();
+
+function withLock(userId, task) {
+  const run = (locks.get(userId) || Promise.resolve()).then(task);
+  const done = run.catch(() => {});
+  locks.set(userId, done);
+  done.then(() => {
+    if (locks.get(userId) === done) locks.delete(userId);
+  });
+  return run;
+}
+
+// Throws a UsageLimitError when `units` more of `operation` costing `cost`
+// would go over one of the user's quotas, counting what is reserved
+async function checkLimits(userId, operation, units, cost) {
+  const usage = await usageFor(userId);
+  const pending = [...reservedFor(userId)];
+  const pendingCost = pending.reduce((sum, entry) => sum + entry.cost, 0);
+  const pendingUnits = pending
+    .filter((entry) => entry.operation === operation)
+    .reduce((sum, entry) => sum + entry.units, 0);
+
+  Object.entries(usage).forEach(([period, { end, used, limits }]) => {
+    Object.entries(limits).forEach(([key, limit]) => {
+      if (key !== "cost" && key !== operation) return;
+
+      const [spent, requested] =
+        key === "cost"
+          ? [used.cost + pendingCost, cost]
+          : [used.units[key] + pendingUnits, units];
+      if (spent < limit && spent + requested <= limit) return;
+
+      const what =
+        key === "cost"
+          ? `$${limit.toFixed(2)} of usage`
+          : `${limit} ${key} ${limit === 1 ? "call" : "calls"}`;
+      throw new UsageLimitError(
+        spent < limit
+          ? `This request would go over the ${period} quota of ${what}; it resets at ${end}`
+          : `The ${period} quota of ${what} is used up; it resets at ${end}`,
+        Math.ceil((new Date(end) - Date.now()) / 1000),
+      );
+    });
+  });
+}
+
+// Throws a UsageLimitError when `units` more of `operation` on `model` would
+// go over one of the user's quotas. Used to refuse work before it is queued;
+// the calls themselves reserve their usage with reserveQuota.
+export async function checkQuota(userId, operation, { units = 1, model } = {}) {
+  if (!userId) throw new Error("Metered calls need a user");
+  if (Object.keys(quotas).length === 0) return;
+
+  await withLock(userId, () =>
+    checkLimits(userId, operation, units, estimateCost(model, units)),
+  );
+}
+
+// Checks the quotas like checkQuota and holds `units` of `operation` on
+// `model` for the user until the reservation is settled. record(call)
+// records one call made under it, which then holds that much less, and
+// release() drops whatever is left once the calls have finished, failed or
+// been cancelled. A batch reserves all of its calls up front.
+export async function reserveQuota(
+  userId,
+  operation,
+  { units = 1, model } = {},
+) {
+  if (!userId) throw new Error("Metered calls need a user");
+
+  const reservation = { operation, units, cost: estimateCost(model, units) };
+  const limited = Object.keys(quotas).length > 0;
+  if (limited) {
+    await withLock(userId, async () => {
+      await checkLimits(userId, operation, units, reservation.cost);
+      reservations.set(userId, reservedFor(userId).add(reservation));
+    });
+  }
+
+  const release = () => {
+    const held = reservations.get(userId);
+    held?.delete(reservation);
+    if (held?.size === 0) reservations.delete(userId);
+  };
+  const settle = async (call) => {
+    const recorded = call.units ?? 1;
+    await recordUsage({ ...call, owner: userId });
+    reservation.units -= recorded;
+    reservation.cost = Math.max(
+      0,
+      reservation.cost - estimateCost(call.model, recorded),
+    );
+    if (reservation.units <= 0) release();
+  };
+
+  return {
+    record: (call) =>
+      limited ? withLock(userId, () => settle(call)) : settle(call),
+    release,
+  };
+}
+
+// Counts a metered request against the user's rate limit, throwing a
+// UsageLimitError when there have been too many in the last minute
+export function checkRate(userId) {
+  if (!rateLimit) return;
+
+  const now = Date.now();
+  const recent = (recentRequests.get(userId) || []).filter(
+    (time) => time > now - rateWindowMs,
+  );
+  if (recent.length >= rateLimit) {
+    recentRequests.set(userId, recent);
+    throw new UsageLimitError(
+      `Too many requests: at most ${rateLimit} a minute`,
+      Math.ceil((recent[0] + rateWindowMs - now) / 1000),
+    );
+  }
+  recentRequests.set(userId, [...recent, now]);
+}
+
+// Express middleware applying the rate limit to a signed-in user's request
+export function limitRate(req, res, next) {
+  try {
+    checkRate(req.user.id);
+  } catch (error) {
+    res.set("Retry-After", String(error.retryAfter));
+    return res.status(429).json({ error: error.message });
+  }
+  next();
+}
+
+// Records a call that has been made. A failure to record is logged rather
+// than failing a call the user already has the result of.
+async function recordUsage({
+  owner,
+  provider,
+  model,
+  operation,
+  units = 1,
+  durationMs = null,
+}) {
+  try {
+    await store.record({
+      userId: owner,
+      provider,
+      model,
+      operation,
+      units,
+      durationMs,
+      cost: estimateCost(model, units),
+      createdAt: new Date().toISOString(),
+    });
+  } catch (error) {
+    console.error("Usage record error:", error);
+  }
+}
+
+// Runs a provider call for `owner` once the quotas allow it, and records it
+// with how long it took when it succeeds. A call that is part of a batch is
+// recorded against the batch's reservation instead of reserving on its own.
+export async function meter(call, run, batch) {
+  const reservation =
+    batch ||
+    (await reserveQuota(call.owner, call.operation, { model: call.model }));
+  try {
+    const started = Date.now();
+    const result = await run();
+    await reservation.record({ ...call, durationMs: Date.now() - started });
+    return result;
+  } finally {
+    if (!batch) reservation.release();
+  }
+}
+
+// Everyone's usage over the last `days`, by provider and by user
+export async function usageSummary({ days = 30 } = {}) {
+  const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+  const records = await store.list({ since: since.toISOString() });
+  return {
+    since: since.toISOString(),
+    total: tally(records),
+    byProvider: groupBy(records, "provider"),
+    byUser: groupBy(records, "userId"),
+    quotas,
+    rateLimit,
+  };
+}
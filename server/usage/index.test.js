@@ -0,0 +1,107 @@
+import { afterEach, describe, expect, it, vi } from "vitest";
+
+const records = vi.hoisted(() => []);
+
+vi.mock("./local.js", () => ({
+  default: () => ({
+    name: "local",
+    async record(entry) {
+      await new Promise((resolve) => setTimeout(resolve, 5));
+      records.push(entry);
+    },
+    async list({ userId, since }) {
+      return records.filter(
+        (entry) =>
+          (!userId || entry.userId === userId) && entry.createdAt >= since,
+      );
+    },
+  }),
+}));
+
+// The quotas are read when the module loads
+async function withQuotas(quotas) {
+  vi.stubEnv("USAGE_STORE", "local");
+  vi.stubEnv("USAGE_QUOTAS", JSON.stringify(quotas));
+  vi.resetModules();
+  return import("./index.js");
+}
+
+const call = {
+  owner: "user",
+  provider: "mock",
+  model: "mock",
+  operation: "generate",
+};
+
+afterEach(() => {
+  records.splice(0);
+  vi.unstubAllEnvs();
+});
+
+describe("usage quotas", () => {
+  it("lets only as many parallel calls through as the quota allows", async () => {
+    const { meter, UsageLimitError } = await withQuotas({
+      daily: { generate: 3 },
+    });
+    const run = vi.fn(
+      () => new Promise((resolve) => setTimeout(() => resolve("image"), 10)),
+    );
+
+    const results = await Promise.allSettled(
+      Array.from({ length: 6 }, () => meter(call, run)),
+    );
+    expect(
+      results.filter((result) => result.status === "fulfilled"),
+    ).toHaveLength(3);
+    results
+      .filter((result) => result.status === "rejected")
+      .forEach((result) =>
+        expect(result.reason).toBeInstanceOf(UsageLimitError),
+      );
+    expect(run).toHaveBeenCalledTimes(3);
+    expect(records).toHaveLength(3);
+  });
+
+  it("holds a whole batch until its calls are recorded or released", async () => {
+    const { checkQuota, meter, reserveQuota } = await withQuotas({
+      daily: { generate: 3 },
+    });
+    const batch = await reserveQuota("user", "generate", { units: 2 });
+    await expect(checkQuota("user", "generate", { units: 2 })).rejects.toThrow(
+      "would go over the daily quota of 3 generate calls",
+    );
+
+    await meter(call, async () => "image", batch);
+    await expect(
+      checkQuota("user", "generate", { units: 2 }),
+    ).rejects.toThrow();
+    batch.release();
+    await expect(checkQuota("user", "generate", { units: 2 })).resolves.toBe(
+      undefined,
+    );
+    expect(records).toHaveLength(1);
+  });
+
+  it("releases the reservation of a call that fails", async () => {
+    const { checkQuota, meter } = await withQuotas({ daily: { generate: 1 } });
+    await expect(
+      meter(call, async () => {
+        throw new Error("Provider down");
+      }),
+    ).rejects.toThrow("Provider down");
+
+    expect(records).toHaveLength(0);
+    await expect(checkQuota("user", "generate")).resolves.toBe(undefined);
+  });
+
+  it("counts reserved cost against a cost quota", async () => {
+    const { reserveQuota } = await withQuotas({ daily: { cost: 0.05 } });
+    await reserveQuota("user", "generate", { units: 1, model: "flux-dev" });
+    await expect(
+      reserveQuota("user", "edit", { units: 1, model: "flux-fill-dev" }),
+    ).rejects.toThrow("would go over the daily quota of $0.05 of usage");
+    await expect(
+      reserveQuota("someone-else", "edit", { model: "flux-fill-dev" }),
+    ).resolves.toBeDefined();
+  });
+});
@@ -0,0 +1,42 @@
+import fs from "fs";
+import path from "path";
+
+export const usageFile = path.join(process.cwd(), "data", "usage.jsonl");
+
+// Appends usage records to data/usage.jsonl, keeping them in memory once read
+export default function createLocalUsageStore() {
+  let records = null;
+
+  async function load() {
+    if (records) return records;
+    try {
+      const text = await fs.promises.readFile(usageFile, "utf-8");
+      records = text
+        .split("\n")
+        .filter(Boolean)
+        .map((line) => JSON.parse(line));
+    } catch (error) {
+      if (error.code !== "ENOENT") throw error;
+      records = [];
+    }
+    return records;
+  }
+
+  return {
+    name: "local",
+
+    async record(entry) {
+      await load();
+      await fs.promises.mkdir(path.dirname(usageFile), { recursive: true });
+      await fs.promises.appendFile(usageFile, `${JSON.stringify(entry)}\n`);
+      records.push(entry);
+    },
+
+    async list({ userId, since }) {
+      return (await load()).filter(
+        (entry) =>
+          (!userId || entry.userId === userId) && entry.createdAt >= since,
+      );
+    },
+  };
+}
@@ -0,0 +1,41 @@
+// Estimated cost in USD of one metered unit: an image for the image models,
+// a call for segmentation and a session for the realtime models. These are
+// rough list prices for comparing spend, not a bill. USAGE_PRICES, a JSON
+// object with the same keys, overrides any of them.
+const defaultPrices = {
+  // Image models, by model id
+  "flux-dev": 0.025,
+  "flux-schnell": 0.003,
+  "flux-fill-dev": 0.04,
+  "real-esrgan": 0.002,
+  "ideogram-v2": 0.08,
+  "ideogram-v2-turbo": 0.05,
+  "gpt-image-1": 0.04,
+  "dall-e-3": 0.04,
+  mock: 0,
+  // Segmentation, by endpoint
+  "automatic-mask-generator": 0.005,
+  "sam-v2-image": 0.005,
+  "local-segmenter": 0,
+  // Realtime sessions, by model, assuming a few minutes of conversation
+  "gpt-4o-realtime-preview-2024-12-17": 0.5,
+  "gpt-4o-realtime-preview": 0.5,
+  "gpt-4o-mini-realtime-preview-2024-12-17": 0.1,
+  "gpt-4o-mini-realtime-preview": 0.1,
+};
+
+function configuredPrices() {
+  if (!process.env.USAGE_PRICES) return {};
+  try {
+    return JSON.parse(process.env.USAGE_PRICES);
+  } catch (error) {
+    throw new Error(`USAGE_PRICES is not valid JSON: ${error.message}`);
+  }
+}
+
+const prices = { ...defaultPrices, ...configuredPrices() };
+
+// Unknown models are counted but cost nothing until they are priced
+export function estimateCost(model, units = 1) {
+  return (prices[model] ?? 0) * units;
+}
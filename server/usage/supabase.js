@@ -0,0 +1,57 @@
+import getSupabase from "../supabase.js";
+
+const pageSize = 1000;
+
+// Keeps usage records in the `usage_events` table (see supabase/migrations)
+export default function createSupabaseUsageStore() {
+  const supabase = getSupabase();
+
+  const fromRow = (row) => ({
+    userId: row.user_id,
+    provider: row.provider,
+    model: row.model,
+    operation: row.operation,
+    units: row.units,
+    durationMs: row.duration_ms,
+    cost: Number(row.cost),
+    createdAt: new Date(row.created_at).toISOString(),
+  });
+
+  return {
+    name: "supabase",
+
+    async record(entry) {
+      const { error } = await supabase.from("usage_events").insert({
+        user_id: entry.userId,
+        provider: entry.provider,
+        model: entry.model,
+        operation: entry.operation,
+        units: entry.units,
+        duration_ms: entry.durationMs,
+        cost: entry.cost,
+        created_at: entry.createdAt,
+      });
+      if (error) throw error;
+    },
+
+    // PostgREST caps how many rows one request returns, so read in pages
+    async list({ userId, since }) {
+      const records = [];
+      for (let from = 0; ; from += pageSize) {
+        let query = supabase
+          .from("usage_events")
+          .select("*")
+          .gte("created_at", since)
+          .order("created_at")
+          .range(from, from + pageSize - 1);
+        if (userId) {
+          query = query.eq("user_id", userId);
+        }
+        const { data, error } = await query;
+        if (error) throw error;
+        records.push(...data.map(fromRow));
+        if (data.length < pageSize) return records;
+      }
+    },
+  };
+}
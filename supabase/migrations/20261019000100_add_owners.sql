@@ -0,0 +1,45 @@
+-- Projects and stored objects belong to the user who created them. Projects
+-- from before accounts have no owner and are left to the service role.
+alter table public.projects
+  add column if not exists owner_id uuid references auth.users (id) on delete cascade;
+
+create index if not exists projects_owner_id_idx on public.projects (owner_id);
+
+alter table public.projects enable row level security;
+
+create policy "Users manage their own projects"
+  on public.projects
+  for all
+  to authenticated
+  using (owner_id = auth.uid())
+  with check (owner_id = auth.uid());
+
+-- Objects live under <user id>/ in the images and masks buckets. The buckets
+-- stay public so providers can fetch images by URL, but only the owner can
+-- list, upload or delete them.
+create policy "Users list their own objects"
+  on storage.objects
+  for select
+  to authenticated
+  using (
+    bucket_id in ('images', 'masks')
+    and (storage.foldername(name))[1] = auth.uid()::text
+  );
+
+create policy "Users upload to their own folder"
+  on storage.objects
+  for insert
+  to authenticated
+  with check (
+    bucket_id in ('images', 'masks')
+    and (storage.foldername(name))[1] = auth.uid()::text
+  );
+
+create policy "Users delete their own objects"
+  on storage.objects
+  for delete
+  to authenticated
+  using (
+    bucket_id in ('images', 'masks')
+    and (storage.foldername(name))[1] = auth.uid()::text
+  );
@@ -0,0 +1,27 @@
+-- One row per metered call: a realtime session, an image model run or a
+-- segmentation, with its estimated cost in USD
+create table if not exists public.usage_events (
+  id bigint generated always as identity primary key,
+  user_id uuid not null references auth.users (id) on delete cascade,
+  provider text not null,
+  model text not null,
+  operation text not null,
+  units integer not null default 1,
+  duration_ms integer,
+  cost numeric(12, 6) not null default 0,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists usage_events_user_id_created_at_idx
+  on public.usage_events (user_id, created_at);
+create index if not exists usage_events_created_at_idx
+  on public.usage_events (created_at);
+
+-- Written by the server with the service role; users may only read their own
+alter table public.usage_events enable row level security;
+
+create policy "Users read their own usage"
+  on public.usage_events
+  for select
+  to authenticated
+  using (user_id = auth.uid());
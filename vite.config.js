@@ -1,4 +1,4 @@
-import { join, dirname, resolve } from "path";
+import { join, dirname } from "path";
 import { fileURLToPath } from "url";
 import react from "@vitejs/plugin-react";
 
@@ -7,4 +7,6 @@ const path = fileURLToPath(import.meta.url);
 export default {
   root: join(dirname(path), "client"),
   plugins: [react()],
+  // Tests sit next to the modules they cover, on the server side too
+  test: { dir: dirname(path) },
 };